@@ -19,12 +19,13 @@
   const hasSelector = !!global.Selector;
 
   // Detect reactive capabilities
-  let effect, batch, isReactive;
+  let effect, batch, isReactive, isSignal;
   
   if (hasReactiveUtils) {
     effect = global.ReactiveUtils.effect;
     batch = global.ReactiveUtils.batch;
     isReactive = global.ReactiveUtils.isReactive;
+    isSignal = global.ReactiveUtils.isSignal;
   } else if (hasElements && typeof global.Elements.effect === 'function') {
     effect = global.Elements.effect;
     batch = global.Elements.batch;
@@ -594,7 +595,7 @@
 
   const Conditions = {
     /**
-     * @param {Function|*} valueFn - Function returning state value OR direct value
+     * @param {Function|Object|*} valueFn - Function returning state value, a signal, OR direct value
      * @param {Object|Function} conditions - Condition mappings (object or function returning object for dynamic conditions)
      * @param {string|Element|NodeList} selector - Target elements
      * @param {Object} options - { reactive: boolean, watch: boolean }
@@ -606,6 +607,12 @@
         return;
       }
 
+      // A signal is read through get() so the effect subscribes to it
+      if (typeof isSignal === 'function' && isSignal(valueFn)) {
+        const source = valueFn;
+        valueFn = () => source.get();
+      }
+
       // Determine if we should use reactive mode
       const useReactive = options.reactive !== false && hasReactivity;
       const isFunction = typeof valueFn === 'function';
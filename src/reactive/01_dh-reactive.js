@@ -14,46 +14,593 @@
   const hasSelector = !!global.Selector;
 
   // State management
-  const reactiveMap = new WeakMap();
+  const reactiveMap = new WeakMap();   // proxy -> { deps, computedMap }
+  const proxyMap = new WeakMap();      // raw target -> proxy
+  const shallowProxyMap = new WeakMap(); // raw target -> shallow proxy
+  const readonlyMap = new WeakMap();   // reactive proxy -> readonly proxy (warns)
+  const strictReadonlyMap = new WeakMap(); // reactive proxy -> readonly proxy (throws)
+  const readonlySources = new WeakMap(); // readonly proxy -> { source, strict }
+  const rawSet = new WeakSet();        // objects marked with markRaw()
+  const schemaMap = new WeakMap();     // raw target -> { schema, mode, path } checking its writes
+  const equalsMap = new WeakMap();     // raw target -> { key: equals(a, b) } from state(initial, { equals })
+  const observers = new WeakMap();     // raw target -> Set of mutation listeners
+  const parentMap = new WeakMap();     // raw child -> { parent: raw, key }
+  let observerCount = 0;
   let currentEffect = null;
+  let activeScope = null;              // effectScope() whose run() is in progress
   let batchDepth = 0;
   let pendingUpdates = new Set();
+  let mutationGroup = 0;               // shared by every write until a batch settles
+  let currentArrayOp = null;           // array method being run through a proxy
+  const txStack = [];                  // transactions whose code is running synchronously
+  const awaitingTransactions = new Set(); // async transactions not yet settled
 
   const RAW = Symbol('raw');
   const IS_REACTIVE = Symbol('reactive');
+  const ITERATE_KEY = Symbol('iterate');
+  const IS_READONLY = Symbol('readonly');
+  const IS_SHALLOW = Symbol('shallow');
+  const IS_SIGNAL = Symbol('signal');
+
+  // Library-wide settings, changed with configure()
+  const config = {
+    equals: Object.is                  // decides whether a write is a change
+  };
+
+  // Mutators that a readonly view of a Map / Set must refuse
+  const COLLECTION_MUTATORS = ['set', 'add', 'delete', 'clear'];
+
+  // Array methods that write through the proxy several times per call
+  const ARRAY_MUTATORS = [
+    'push', 'pop', 'shift', 'unshift', 'splice',
+    'sort', 'reverse', 'fill', 'copyWithin'
+  ];
+
+  // Array methods that compare items by identity
+  const ARRAY_SEARCHES = ['includes', 'indexOf', 'lastIndexOf'];
 
   // Utilities
   function isReactive(v) {
     return !!(v && v[IS_REACTIVE]);
   }
 
+  function isReadonly(v) {
+    return !!(v && v[IS_READONLY]);
+  }
+
+  function isShallow(v) {
+    return !!(v && v[IS_SHALLOW]);
+  }
+
+  // Same own keys holding Object.is-equal values (plain objects and arrays)
+  function shallowEqual(a, b) {
+    if (Object.is(a, b)) return true;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) return false;
+    return keysA.every(k => Object.prototype.hasOwnProperty.call(b, k) && Object.is(a[k], b[k]));
+  }
+
+  // An equals option is a function(a, b) or one of the built-in names
+  function resolveEquals(equals) {
+    if (typeof equals === 'function') return equals;
+    if (equals === 'shallow') return shallowEqual;
+    if (equals === 'is' || equals == null) return Object.is;
+    throw new Error(`[Reactive] Unknown equals "${equals}". Use a function, "is" or "shallow".`);
+  }
+
+  function equalsFor(raw, key) {
+    const perKey = equalsMap.get(raw);
+    if (perKey && Object.prototype.hasOwnProperty.call(perKey, key)) return perKey[key];
+    return config.equals;
+  }
+
+  // configure({ equals }) - change library-wide defaults; returns the settings in use
+  function configure(options = {}) {
+    if ('equals' in options) config.equals = resolveEquals(options.equals);
+    return { ...config };
+  }
+
+  function isSignal(v) {
+    return !!(v && v[IS_SIGNAL]);
+  }
+
+  function isArrayIndex(key) {
+    return typeof key === 'string' && /^(0|[1-9][0-9]*)$/.test(key);
+  }
+
   function toRaw(v) {
     return (v && v[RAW]) || v;
   }
 
+  // Never proxy this object: state() returns it as-is and nested reads
+  // hand it out untouched
+  function markRaw(obj) {
+    if (obj && typeof obj === 'object') rawSet.add(obj);
+    return obj;
+  }
+
+  // Dependency tracking
+  // Every effect keeps a back-reference to each dep Set it joined, so the
+  // links can be dropped before a re-run and removed for good on dispose.
+  // Each dep Set carries a version, bumped when its value changes; a runner
+  // records the versions it saw (runner.versions, parallel to runner.deps).
+  // target / type ('get' | 'has' | 'iterate') only feed the onTrack hook.
+  function track(deps, key, target, type) {
+    if (!currentEffect) return;
+    let dep = deps.get(key);
+    if (!dep) {
+      dep = new Set();
+      deps.set(key, dep);
+    }
+    trackDep(dep, target, key, type);
+  }
+
+  function trackDep(dep, target, key, type = 'get') {
+    if (currentEffect && !dep.has(currentEffect)) {
+      dep.add(currentEffect);
+      if (currentEffect.deps) currentEffect.deps.push(dep);
+      if (currentEffect.versions) currentEffect.versions.push(dep.version || 0);
+      if (currentEffect.onTrack) {
+        currentEffect.onTrack({
+          effect: currentEffect.handle,
+          target,
+          key: key === ITERATE_KEY ? undefined : key,
+          type
+        });
+      }
+    }
+  }
+
+  // Queue every subscriber of the given dep Sets. Staleness spreads through
+  // computeds transitively: a computed is marked dirty (lazily re-evaluated on
+  // its next read) and hands the change on to its own subscribers, which may
+  // be other computeds. Effects are collected first - a re-running effect
+  // re-subscribes to the Sets - and then flushed as one batch, so each runs
+  // once, after every computed it reads has gone stale.
+  // `event` ({ target, key, type, newValue, oldValue }) feeds the onTrigger hook.
+  function triggerDeps(depSets, event) {
+    const toRun = new Set();
+    for (let i = 0; i < depSets.length; i++) {
+      const dep = depSets[i];
+      if (!dep) continue;
+      dep.version = (dep.version || 0) + 1;
+      collectSubscribers(dep, toRun, event);
+    }
+    // A manual notify has nothing a rollback could undo, so it is never held
+    const tx = event && event.type !== 'notify'
+      ? transactionOf(event.target ? toRaw(event.target) : undefined)
+      : null;
+    batchDepth++;
+    try {
+      if (tx) toRun.forEach(fn => tx.held.add(fn));
+      else toRun.forEach(queueUpdate);
+    } finally {
+      endBatch();
+    }
+  }
+
+  function collectSubscribers(dep, toRun, event) {
+    if (!dep) return;
+    dep.forEach(effect => {
+      if (!effect.isComputed) {
+        if (effect.onTrigger && !toRun.has(effect)) {
+          effect.onTrigger({ effect: effect.handle, ...event });
+        }
+        toRun.add(effect);
+        return;
+      }
+      // Already dirty: its subscribers heard about it and have not re-read it since
+      const comp = effect.comp;
+      if (comp.dirty) return;
+      comp.dirty = true;
+      collectSubscribers(comp.subscribers, toRun, event);
+    });
+  }
+
+  function cleanupEffect(runner) {
+    const deps = runner.deps;
+    if (!deps) return;
+    for (let i = 0; i < deps.length; i++) {
+      deps[i].delete(runner);
+    }
+    deps.length = 0;
+    if (runner.versions) runner.versions.length = 0;
+  }
+
+  // Has anything this runner read changed since it last ran? Computeds it
+  // reads are brought up to date first; one that recomputes to an equal
+  // value keeps its version, so the runner can skip the re-run.
+  function depsChanged(runner) {
+    const { deps, versions } = runner;
+    for (let i = 0; i < deps.length; i++) {
+      const dep = deps[i];
+      if (dep.computed && dep.computed.dirty) refreshComputed(dep.computed);
+      if ((dep.version || 0) !== versions[i]) return true;
+    }
+    return false;
+  }
+
+  function stop(runner) {
+    if (!runner || !runner.active) return;
+    runner.active = false;
+    cleanupEffect(runner);
+    pendingUpdates.delete(runner);
+    if (runner.onStop) runner.onStop();
+  }
+
+  // Re-evaluate a computed, dropping the links of its previous run first.
+  // Readers only hear about it (a version bump) when the value changed.
+  function evaluateComputed(comp, context) {
+    cleanupEffect(comp.runner);
+    const prevEffect = currentEffect;
+    currentEffect = comp.runner;
+    try {
+      const oldValue = comp.value;
+      comp.value = comp.fn.call(context);
+      comp.dirty = false;
+      if (!comp.evaluated || !config.equals(oldValue, comp.value)) {
+        comp.evaluated = true;
+        comp.subscribers.version = (comp.subscribers.version || 0) + 1;
+      }
+    } finally {
+      currentEffect = prevEffect;
+    }
+    return comp.value;
+  }
+
+  // Bring a dirty computed up to date. If none of its sources really changed
+  // (they were computeds that came out equal) it is clean again as it is.
+  // A stopped computed follows nothing, so it runs its getter on every read.
+  function refreshComputed(comp) {
+    if (comp.stopped) return (comp.value = untrack(() => comp.fn.call(comp.context)));
+    if (!comp.dirty) return comp.value;
+    if (comp.evaluated && !depsChanged(comp.runner)) {
+      comp.dirty = false;
+      return comp.value;
+    }
+    return evaluateComputed(comp, comp.context);
+  }
+
+  // Mutation observers
+  // Writes through a proxy are reported to listeners on the written object and
+  // on every object above it, with the key path relative to the listener's
+  // object. Nested objects learn their parent when first read or assigned.
+  function linkParent(child, parent, key, overwrite) {
+    if (!child || typeof child !== 'object') return;
+    child = toRaw(child);
+    if (overwrite || !parentMap.has(child)) parentMap.set(child, { parent, key });
+  }
+
+  // An overwritten or removed value stops reporting to its old place
+  function unlinkParent(child, parent, key) {
+    if (!child || typeof child !== 'object') return;
+    child = toRaw(child);
+    const link = parentMap.get(child);
+    if (link && link.parent === parent && link.key === key) parentMap.delete(child);
+  }
+
+  // Listeners get { type: 'set' | 'add' | 'delete' | 'clear', path, key, value,
+  // oldValue, target (the written proxy), group, op (array method, if any) }
+  function emitMutation(raw, record) {
+    record.group = mutationGroup;
+    if (currentArrayOp) record.op = currentArrayOp;
+    const tx = transactionOf(raw);
+    if (tx) {
+      tx.log.push(record);
+      // Listeners hear about a transaction's writes when it commits
+      if (observerCount > 0) tx.notices.push([raw, record]);
+      return;
+    }
+    if (observerCount === 0) return;
+
+    // Updates queued by listeners run in the flush the write itself triggers
+    batchDepth++;
+    try {
+      notifyObservers(raw, record);
+    } finally {
+      batchDepth--;
+    }
+  }
+
+  function notifyObservers(node, record) {
+    const path = [record.key];
+    const seen = new Set();
+    while (node && !seen.has(node)) {
+      seen.add(node);
+      const listeners = observers.get(node);
+      if (listeners) {
+        const mutation = { ...record, path: path.slice() };
+        Array.from(listeners).forEach(fn => {
+          try { fn(mutation); } 
+          catch (e) { console.error('[Reactive] Mutation listener error:', e); }
+        });
+      }
+      const link = parentMap.get(node);
+      if (!link) break;
+      path.unshift(link.key);
+      node = link.parent;
+    }
+  }
+
+  function observe(state, listener) {
+    const raw = toRaw(state);
+    if (!observers.has(raw)) observers.set(raw, new Set());
+    const listeners = observers.get(raw);
+    if (listeners.has(listener)) return () => {};
+
+    listeners.add(listener);
+    observerCount++;
+    return () => {
+      if (listeners.delete(listener)) observerCount--;
+    };
+  }
+
+  // Undo a recorded mutation by writing the old value back through its proxy
+  function revertMutation(m) {
+    const target = m.target;
+
+    if (isSignal(target)) {
+      target.set(m.oldValue);
+    } else if (target instanceof Map) {
+      if (m.type === 'add') target.delete(m.key);
+      else if (m.type === 'clear') m.oldValue.forEach((v, k) => target.set(k, v));
+      else target.set(m.key, m.oldValue);
+    } else if (target instanceof Set) {
+      if (m.type === 'add') target.delete(m.key);
+      else if (m.type === 'clear') m.oldValue.forEach(v => target.add(v));
+      else target.add(m.key);
+    } else if (m.type === 'add') {
+      // A pushed array item goes away with the length, leaving no hole
+      const index = Number(m.key);
+      if (Array.isArray(target) && index === target.length - 1) target.length = index;
+      else delete target[m.key];
+    } else {
+      target[m.key] = m.oldValue;
+    }
+  }
+
+  // Make a recorded mutation again
+  function replayMutation(m) {
+    const target = m.target;
+
+    if (m.type === 'clear') {
+      target.clear();
+    } else if (target instanceof Map) {
+      if (m.type === 'delete') target.delete(m.key);
+      else target.set(m.key, m.value);
+    } else if (target instanceof Set) {
+      if (m.type === 'delete') target.delete(m.key);
+      else target.add(m.key);
+    } else if (m.type === 'delete') {
+      delete target[m.key];
+    } else {
+      target[m.key] = m.value;
+    }
+  }
+
   // Batching
+  // Every write until the outermost batch (and the flush it starts) settles
+  // belongs to one mutation group, so observers can treat it as one change.
   function batch(fn) {
     batchDepth++;
     try {
       return fn();
     } finally {
-      batchDepth--;
-      if (batchDepth === 0) flush();
+      endBatch();
+    }
+  }
+
+  function endBatch() {
+    batchDepth--;
+    if (batchDepth === 0) {
+      flush();
+      if (!isFlushing) mutationGroup++;
+    }
+  }
+
+  // Transactions
+  // Writes made through a proxy while fn runs are logged and written back in
+  // reverse if fn throws - or, for an async fn, rejects. Effects and mutation
+  // listeners they trigger are held until the transaction commits and dropped
+  // if it rolls back. After the first await a write can no longer be told
+  // apart from other code's, so it only counts when it goes to one of
+  // `options.states` (and no other awaiting transaction was given that state).
+  // Signal writes are rolled back too, and a signal can be one of the states.
+  // A nested transaction hands what it holds to its parent on commit.
+  function transaction(fn, options = {}) {
+    const tx = {
+      parent: txStack.length > 0 ? txStack[txStack.length - 1] : null,
+      roots: options.states ? new Set([].concat(options.states).map(toRaw)) : null,
+      log: [],
+      notices: [],
+      held: new Set(),
+      done: false
+    };
+
+    let result;
+    txStack.push(tx);
+    batchDepth++;
+    try {
+      result = fn();
+    } catch (error) {
+      txStack.pop();
+      rollbackTransaction(tx);
+      endBatch();
+      throw error;
+    }
+    txStack.pop();
+
+    if (result && typeof result.then === 'function') {
+      awaitingTransactions.add(tx);
+      endBatch();
+      return result.then(
+        value => {
+          commitTransaction(tx);
+          return value;
+        },
+        error => {
+          rollbackTransaction(tx);
+          throw error;
+        }
+      );
+    }
+
+    commitTransaction(tx);
+    endBatch();
+    return result;
+  }
+
+  // The transaction a write to `raw` belongs to, if any
+  function transactionOf(raw) {
+    if (txStack.length > 0) return txStack[txStack.length - 1];
+    if (awaitingTransactions.size === 0 || !raw) return null;
+
+    let owner = null;
+    for (const tx of awaitingTransactions) {
+      if (!tx.roots || !reachesRoot(raw, tx.roots)) continue;
+      if (owner) return null; // claimed by two transactions: belongs to neither
+      owner = tx;
+    }
+    return owner;
+  }
+
+  function reachesRoot(raw, roots) {
+    const seen = new Set();
+    let node = raw;
+    while (node && !seen.has(node)) {
+      if (roots.has(node)) return true;
+      seen.add(node);
+      const link = parentMap.get(node);
+      node = link && link.parent;
+    }
+    return false;
+  }
+
+  function commitTransaction(tx) {
+    tx.done = true;
+    awaitingTransactions.delete(tx);
+
+    const parent = tx.parent && !tx.parent.done ? tx.parent : null;
+    if (parent) {
+      parent.log.push(...tx.log);
+      parent.notices.push(...tx.notices);
+      tx.held.forEach(fn => parent.held.add(fn));
+      return;
+    }
+
+    batchDepth++;
+    try {
+      tx.notices.forEach(([raw, record]) => notifyObservers(raw, record));
+      tx.held.forEach(queueUpdate);
+    } finally {
+      endBatch();
+    }
+  }
+
+  // The reverting writes belong to the transaction too, so what they
+  // trigger is dropped along with everything it held
+  function rollbackTransaction(tx) {
+    tx.done = true;
+    awaitingTransactions.delete(tx);
+
+    txStack.push(tx);
+    batchDepth++;
+    try {
+      rollback(tx.log);
+    } finally {
+      txStack.pop();
+      endBatch();
+    }
+  }
+
+  // A value someone else has written since is left alone
+  function rollback(log) {
+    for (let i = log.length - 1; i >= 0; i--) {
+      const m = log[i];
+      const target = toRaw(m.target);
+      const current = isSignal(target) ? target.peek() : target[m.key];
+      if (m.type === 'set' && !(target instanceof Map) && !(target instanceof Set) &&
+          !Object.is(current, m.value)) continue;
+      try { revertMutation(m); } 
+      catch (e) { console.error('[Reactive] Rollback error:', e); }
     }
   }
 
+  // Flush order: 'pre' watchers, then effects and DOM bindings, then 'post'.
+  // effect(fn, { priority }) picks a rank directly.
+  const PRIORITY = {
+    COMPUTED: 1,
+    WATCH: 2,
+    EFFECT: 3,
+    POST: 4
+  };
+  const FLUSH_ORDER = { pre: PRIORITY.WATCH, post: PRIORITY.POST };
+  const MAX_FLUSH_ROUNDS = 100; // Prevent infinite loops
+  let isFlushing = false;
+
+  function flushRank(fn) {
+    if (typeof fn.priority === 'number') return fn.priority;
+    const rank = FLUSH_ORDER[fn.flush];
+    return rank === undefined ? PRIORITY.EFFECT : rank;
+  }
+
+  // Writes made by running updates queue into the same flush. Each round runs
+  // only the earliest phase present, so later phases wait for it to settle.
   function flush() {
-    if (pendingUpdates.size === 0) return;
-    const updates = Array.from(pendingUpdates);
-    pendingUpdates.clear();
-    updates.forEach(fn => {
-      try { fn(); } 
-      catch (e) { console.error('[Reactive] Error:', e); }
-    });
+    if (isFlushing || pendingUpdates.size === 0) return;
+    isFlushing = true;
+    let rounds = 0;
+
+    try {
+      while (pendingUpdates.size > 0) {
+        if (++rounds > MAX_FLUSH_ROUNDS) {
+          console.error(
+            '[Reactive] Infinite update loop detected. ' +
+            'An effect may be modifying state that triggers itself.'
+          );
+          pendingUpdates.clear();
+          break;
+        }
+
+        let rank = Infinity;
+        pendingUpdates.forEach(fn => { rank = Math.min(rank, flushRank(fn)); });
+        const updates = Array.from(pendingUpdates).filter(fn => flushRank(fn) === rank);
+        updates.forEach(fn => pendingUpdates.delete(fn));
+
+        updates.forEach(fn => {
+          // Re-queued by an earlier update this round: run it once, next round
+          if (pendingUpdates.has(fn)) return;
+          try { fn(); } 
+          catch (e) {
+            console.error(fn.effectName ? `[Reactive] Error in effect "${fn.effectName}":` : '[Reactive] Error:', e);
+          }
+        });
+      }
+    } finally {
+      isFlushing = false;
+    }
+  }
+
+  // Resolves once queued updates have run. The core flushes synchronously when
+  // the outermost batch ends, so a microtask is enough; add-ons with their own
+  // queue wrap this to wait for it too.
+  function nextTick(fn) {
+    const tick = Promise.resolve();
+    return typeof fn === 'function' ? tick.then(fn) : tick;
   }
 
   function queueUpdate(fn) {
-    if (batchDepth > 0) {
+    // A custom scheduler decides when (and whether) the effect re-runs
+    if (fn.scheduler) {
+      fn.scheduler();
+      return;
+    }
+    if ((batchDepth > 0 || isFlushing) && fn.flush !== 'sync') {
       pendingUpdates.add(fn);
     } else {
       fn();
@@ -155,9 +702,189 @@
     }); */
 
 
-function createReactive(target) {
+  // Reactive Map / Set
+  // Collections can't be wrapped by the plain object traps (their methods
+  // need the real receiver), so every method is instrumented instead:
+  // get/has track the single key, size and iteration track the key list.
+  function createReactiveCollection(target, shallow) {
+    const deps = new Map();
+    const isMap = target instanceof Map;
+
+    const wrap = (value) => shallow ? value : createReactive(value);
+
+    function iterate(method) {
+      return function(...args) {
+        track(deps, ITERATE_KEY, proxy, 'iterate');
+        const inner = target[method](...args);
+        const isPair = method === 'entries' ||
+          (method === Symbol.iterator && isMap);
+
+        return {
+          next() {
+            const { value, done } = inner.next();
+            if (done) return { value, done };
+            return {
+              value: isPair ? [wrap(value[0]), wrap(value[1])] : wrap(value),
+              done
+            };
+          },
+          [Symbol.iterator]() {
+            return this;
+          }
+        };
+      };
+    }
+
+    const instrumentations = {
+      get(key) {
+        key = toRaw(key);
+        track(deps, key, proxy, 'get');
+        const value = target.get(key);
+        if (!shallow) linkParent(value, target, key);
+        return wrap(value);
+      },
+
+      has(key) {
+        key = toRaw(key);
+        track(deps, key, proxy, 'has');
+        return target.has(key);
+      },
+
+      get size() {
+        track(deps, ITERATE_KEY, proxy, 'iterate');
+        return target.size;
+      },
+
+      set(key, value) {
+        key = toRaw(key);
+        value = toRaw(value);
+        const hadKey = target.has(key);
+        const oldValue = target.get(key);
+        if (hadKey && config.equals(oldValue, value)) return proxy;
+
+        target.set(key, value);
+        if (hadKey) unlinkParent(oldValue, target, key);
+        linkParent(value, target, key, true);
+        emitMutation(target, { type: hadKey ? 'set' : 'add', target: proxy, key, value, oldValue });
+        triggerDeps([deps.get(key), deps.get(ITERATE_KEY)],
+          { target: proxy, key, type: hadKey ? 'set' : 'add', newValue: value, oldValue });
+        return proxy;
+      },
+
+      add(value) {
+        value = toRaw(value);
+        if (!target.has(value)) {
+          target.add(value);
+          emitMutation(target, { type: 'add', target: proxy, key: value, value, oldValue: undefined });
+          triggerDeps([deps.get(value), deps.get(ITERATE_KEY)],
+            { target: proxy, key: value, type: 'add', newValue: value });
+        }
+        return proxy;
+      },
+
+      delete(key) {
+        key = toRaw(key);
+        const oldValue = isMap ? target.get(key) : key;
+        const result = target.delete(key);
+        if (result) {
+          if (isMap) unlinkParent(oldValue, target, key);
+          emitMutation(target, { type: 'delete', target: proxy, key, value: undefined, oldValue });
+          triggerDeps([deps.get(key), deps.get(ITERATE_KEY)], { target: proxy, key, type: 'delete', oldValue });
+        }
+        return result;
+      },
+
+      clear() {
+        if (target.size === 0) return;
+        const oldValue = isMap ? new Map(target) : new Set(target);
+        target.clear();
+        if (isMap) oldValue.forEach((value, key) => unlinkParent(value, target, key));
+        emitMutation(target, { type: 'clear', target: proxy, key: undefined, value: undefined, oldValue });
+        triggerDeps(Array.from(deps.values()), { target: proxy, type: 'clear', oldValue });
+      },
+
+      forEach(callback, thisArg) {
+        track(deps, ITERATE_KEY, proxy, 'iterate');
+        target.forEach((value, key) => {
+          callback.call(thisArg, wrap(value), wrap(key), proxy);
+        });
+      },
+
+      keys: iterate('keys'),
+      values: iterate('values'),
+      entries: iterate('entries'),
+      [Symbol.iterator]: iterate(Symbol.iterator)
+    };
+
+    if (!isMap) {
+      delete instrumentations.get;
+      delete instrumentations.set;
+    } else {
+      delete instrumentations.add;
+    }
+
+    const proxy = new Proxy(target, {
+      get(t, key) {
+        if (key === RAW) return target;
+        if (key === IS_REACTIVE) return true;
+        if (key === IS_SHALLOW) return shallow;
+        if (Object.prototype.hasOwnProperty.call(instrumentations, key)) {
+          return Reflect.get(instrumentations, key, proxy);
+        }
+        return Reflect.get(t, key, t);
+      }
+    });
+
+    reactiveMap.set(proxy, { deps, computedMap: new Map() });
+    (shallow ? shallowProxyMap : proxyMap).set(target, proxy);
+
+    return proxy;
+  }
+
+// Array mutators run untracked - push() reads length, and an effect that
+// pushes must not subscribe to it - and in one batch, so observers see one
+// change tagged with the method name.
+const arrayInstrumentations = {};
+ARRAY_MUTATORS.forEach(method => {
+  arrayInstrumentations[method] = function(...args) {
+    const prevOp = currentArrayOp;
+    currentArrayOp = method;
+    try {
+      return batch(() => untrack(() => Array.prototype[method].apply(this, args)));
+    } finally {
+      currentArrayOp = prevOp;
+    }
+  };
+});
+
+// Items come out of the proxy wrapped, so a search for a raw object would
+// miss it: search the proxy first (tracking length and every index), then
+// the raw array with raw arguments.
+ARRAY_SEARCHES.forEach(method => {
+  arrayInstrumentations[method] = function(...args) {
+    const result = Array.prototype[method].apply(this, args);
+    if (result !== -1 && result !== false) return result;
+    return Array.prototype[method].apply(toRaw(this), args.map(toRaw));
+  };
+});
+
+function createReactive(target, options = {}) {
   if (!target || typeof target !== 'object') return target;
+
+  // schema: validate writes; schemaMode: 'warn' (default) | 'throw' | 'coerce'
+  if (options.schema) {
+    const state = createReactive(target, { ...options, schema: null });
+    if (isReactive(state)) applySchema(state, options.schema, options.schemaMode);
+    return state;
+  }
+
   if (isReactive(target)) return target;
+  if (rawSet.has(target)) return target;
+
+  // shallow: only top-level keys are tracked, nested objects stay raw
+  const shallow = !!options.shallow;
+  const cache = shallow ? shallowProxyMap : proxyMap;
+  if (cache.has(target)) return cache.get(target);
   
   // ============================================================================
   // ADD THIS: Don't make built-in objects reactive
@@ -169,8 +896,6 @@ function createReactive(target) {
     'Date',
     'RegExp',
     'Error',
-    'Map',
-    'Set',
     'WeakMap',
     'WeakSet'
   ];
@@ -190,51 +915,66 @@ function createReactive(target) {
   }
   // ============================================================================
 
+  if (target instanceof Map || target instanceof Set) {
+    return createReactiveCollection(target, shallow);
+  }
+
   const deps = new Map();
   const computedMap = new Map();
+  const isArray = Array.isArray(target);
+
+  // Shrinking an array drops its tail: every removed item is reported as a
+  // delete (so history and transactions can put it back) and effects that
+  // read those indexes re-run
+  function setArrayLength(arr, length) {
+    const oldLength = arr.length;
+    const removed = [];
+    for (let i = oldLength - 1; i >= length; i--) {
+      if (Object.prototype.hasOwnProperty.call(arr, i)) removed.push([String(i), arr[i]]);
+    }
+    arr.length = length;
+
+    removed.forEach(([key, oldValue]) => {
+      unlinkParent(oldValue, arr, key);
+      emitMutation(arr, { type: 'delete', target: proxy, key, value: undefined, oldValue });
+    });
+    emitMutation(arr, { type: 'set', target: proxy, key: 'length', value: arr.length, oldValue: oldLength });
+
+    const depSets = [deps.get('length'), deps.get(ITERATE_KEY)];
+    if (arr.length < oldLength) {
+      deps.forEach((dep, key) => {
+        if (isArrayIndex(key) && Number(key) >= arr.length) depSets.push(dep);
+      });
+    }
+    triggerDeps(depSets, { target: proxy, key: 'length', type: 'set', newValue: arr.length, oldValue: oldLength });
+  }
 
   const proxy = new Proxy(target, {
     get(obj, key) {
       if (key === RAW) return target;
       if (key === IS_REACTIVE) return true;
+      if (key === IS_SHALLOW) return shallow;
 
-      // Track dependency
-      if (currentEffect && typeof key !== 'symbol') {
-        if (!deps.has(key)) deps.set(key, new Set());
-        deps.get(key).add(currentEffect);
-        if (currentEffect.onDep) currentEffect.onDep(key);
+      // Handle computed - brought up to date before its version is recorded
+      if (computedMap.has(key)) {
+        const comp = computedMap.get(key);
+        refreshComputed(comp);
+        track(deps, key, proxy, 'get');
+        return comp.value;
       }
 
-      let value = obj[key];
+      if (isArray && Object.prototype.hasOwnProperty.call(arrayInstrumentations, key) &&
+          obj[key] === Array.prototype[key]) {
+        return arrayInstrumentations[key];
+      }
 
-      // Handle computed
-      if (computedMap.has(key)) {
-        const comp = computedMap.get(key);
-        if (comp.dirty) {
-          comp.deps.clear();
-          const prevEffect = currentEffect;
-          currentEffect = { 
-            isComputed: true,
-            onDep: (k) => comp.deps.add(k)
-          };
-          try {
-            value = comp.fn.call(proxy);
-            comp.value = value;
-            comp.dirty = false;
-          } finally {
-            currentEffect = prevEffect;
-          }
-        }
-        value = comp.value;
-        
-        if (currentEffect && !currentEffect.isComputed) {
-          if (!deps.has(key)) deps.set(key, new Set());
-          deps.get(key).add(currentEffect);
-        }
-        
-        return value;
+      // Track dependency
+      if (typeof key !== 'symbol') {
+        track(deps, key, proxy, 'get');
       }
 
+      let value = obj[key];
+
       // Deep reactivity - BUT skip built-in objects
      /* if (value && typeof value === 'object' && !isReactive(value)) {
         // Check if it's a built-in object before making reactive
@@ -252,20 +992,21 @@ function createReactive(target) {
     
 
 // Deep reactivity - BUT skip built-in objects
-if (value && typeof value === 'object' && !isReactive(value)) {
+if (!shallow && value && typeof value === 'object' && !isReactive(value)) {
   // Check if it's a built-in object before making reactive
   const valueConstructor = value.constructor?.name;
   const shouldSkip = valueConstructor && skipReactive.includes(valueConstructor);
   
   if (!shouldSkip && !(value instanceof Node) && !(value instanceof Element)) {
-    value = createReactive(value);
-    
-    // Check if property is writable before assigning
+    // Proxies are cached per raw object, so the raw target is never written
+    // to. Non-configurable, read-only props must come back as-is (Proxy invariant).
     const descriptor = Object.getOwnPropertyDescriptor(obj, key);
-    const isWritable = !descriptor || (descriptor.writable !== false && !descriptor.get);
+    const isLocked = descriptor && descriptor.configurable === false && descriptor.writable === false;
     
-    if (isWritable) {
-      obj[key] = value;
+    if (!isLocked) {
+      linkParent(value, obj, key);
+      attachSchema(obj, key, value);
+      value = createReactive(value);
     }
   }
 }
@@ -275,10 +1016,29 @@ return value;
 
 
     set(obj, key, value) {
-      if (obj[key] === value) return true;
+      // Writable computed: hand the value to its setter
+      if (computedMap.has(key)) {
+        writeComputed(computedMap.get(key), proxy, value);
+        return true;
+      }
+
+      const guard = schemaMap.get(obj);
+      if (guard) value = checkWrite(guard, key, value);
+
+      const oldValue = obj[key];
+      const hadKey = Object.prototype.hasOwnProperty.call(obj, key);
+      // An equal value (Object.is, or the key's own equals) is not a change;
+      // the current value is kept
+      if ((hadKey || value === undefined) &&
+          equalsFor(obj, key)(toRaw(oldValue), toRaw(value))) return true;
       
       // Don't try to convert built-in objects
       const rawValue = toRaw(value);
+      if (isArray && key === 'length') {
+        setArrayLength(obj, rawValue);
+        return true;
+      }
+      const oldLength = isArray ? obj.length : 0;
       const constructorName = rawValue?.constructor?.name;
       const shouldSkip = constructorName && skipReactive.includes(constructorName);
       
@@ -288,31 +1048,53 @@ return value;
         obj[key] = rawValue;
       }
       
-      // Trigger updates
-      const effects = deps.get(key);
-      if (effects) {
-        computedMap.forEach((comp, compKey) => {
-          if (comp.deps.has(key)) {
-            comp.dirty = true;
-            const compDeps = deps.get(compKey);
-            if (compDeps) {
-              compDeps.forEach(effect => {
-                if (effect && !effect.isComputed) {
-                  queueUpdate(effect);
-                }
-              });
-            }
-          }
-        });
-        
-        effects.forEach(effect => {
-          if (effect && !effect.isComputed) {
-            queueUpdate(effect);
-          }
-        });
+      if (hadKey) unlinkParent(oldValue, obj, key);
+      linkParent(rawValue, obj, key, true);
+      attachSchema(obj, key, rawValue);
+      emitMutation(obj, { type: hadKey ? 'set' : 'add', target: proxy, key, value: rawValue, oldValue });
+      // Writing beyond the end moves the length past the new item; record it
+      // so undo and rollback restore the old length (an append undoes itself)
+      if (isArray && obj.length !== oldLength && Number(key) > oldLength) {
+        emitMutation(obj, { type: 'set', target: proxy, key: 'length', value: obj.length, oldValue: oldLength });
       }
       
+      // Trigger updates - a new key also changes the key list, and writing
+      // past the end of an array changes its length
+      const depSets = hadKey ? [deps.get(key)] : [deps.get(key), deps.get(ITERATE_KEY)];
+      if (isArray && obj.length !== oldLength) depSets.push(deps.get('length'));
+      triggerDeps(depSets, { target: proxy, key, type: hadKey ? 'set' : 'add', newValue: rawValue, oldValue });
+      
       return true;
+    },
+
+    deleteProperty(obj, key) {
+      const guard = schemaMap.get(obj);
+      if (guard && Object.prototype.hasOwnProperty.call(obj, key)) checkDelete(guard, key);
+
+      const hadKey = Object.prototype.hasOwnProperty.call(obj, key);
+      const oldValue = obj[key];
+      const result = Reflect.deleteProperty(obj, key);
+      
+      if (hadKey && result) {
+        unlinkParent(oldValue, obj, key);
+        emitMutation(obj, { type: 'delete', target: proxy, key, value: undefined, oldValue });
+        triggerDeps([deps.get(key), deps.get(ITERATE_KEY)], { target: proxy, key, type: 'delete', oldValue });
+      }
+      
+      return result;
+    },
+
+    has(obj, key) {
+      if (typeof key !== 'symbol') {
+        track(deps, key, proxy, 'has');
+      }
+      return Reflect.has(obj, key);
+    },
+
+    // Object.keys(), for...in and spreads depend on the key list
+    ownKeys(obj) {
+      track(deps, ITERATE_KEY, proxy, 'iterate');
+      return Reflect.ownKeys(obj);
     }
   });
 
@@ -321,6 +1103,14 @@ return value;
 
 
     reactiveMap.set(proxy, { deps, computedMap });
+    cache.set(target, proxy);
+
+    // equals: { key: fn | 'shallow' } - when a write to that key counts as a change
+    if (options.equals) {
+      const perKey = {};
+      Object.entries(options.equals).forEach(([k, eq]) => { perKey[k] = resolveEquals(eq); });
+      equalsMap.set(target, perKey);
+    }
     
     // Add instance methods (check if they don't already exist)
     if (!proxy.$computed) {
@@ -335,8 +1125,8 @@ return value;
           configurable: true
         },
         $watch: {
-          value: function(keyOrFn, callback) {
-            return addWatch(this, keyOrFn, callback);
+          value: function(keyOrFn, callback, options) {
+            return addWatch(this, keyOrFn, callback, options);
           },
           writable: true,
           enumerable: false,
@@ -358,6 +1148,14 @@ return value;
           enumerable: false,
           configurable: true
         },
+        $subscribe: {
+          value: function(listener) {
+            return observe(this, listener);
+          },
+          writable: true,
+          enumerable: false,
+          configurable: true
+        },
         $raw: {
           get() { return toRaw(this); },
         
@@ -391,92 +1189,792 @@ return value;
       });
     }
 
-    return proxy;
+    return proxy;
+  }
+
+  // Readonly view: reads go through the reactive proxy (and stay tracked),
+  // writes warn - or throw with { strict: true }
+  function readonly(target, options = {}) {
+    if (!target || typeof target !== 'object') return target;
+
+    // One view per mode: a warn-only view asked for as strict gets a strict one
+    const strict = !!options.strict;
+    const view = readonlySources.get(target);
+    if (view && view.strict === strict) return target;
+
+    const source = view ? view.source : createReactive(target);
+    if (!isReactive(source)) return target;
+    const cache = strict ? strictReadonlyMap : readonlyMap;
+    if (cache.has(source)) return cache.get(source);
+
+    const reject = (key) => {
+      const message = `[Reactive] Cannot modify "${String(key)}": state is readonly`;
+      if (strict) throw new Error(message);
+      console.warn(message);
+    };
+
+    const proxy = new Proxy(toRaw(source), {
+      get(obj, key) {
+        if (key === IS_READONLY) return true;
+        if (key === RAW || key === IS_REACTIVE || key === IS_SHALLOW) {
+          return source[key];
+        }
+        const value = Reflect.get(source, key);
+
+        if (obj instanceof Map || obj instanceof Set) {
+          if (COLLECTION_MUTATORS.includes(key)) {
+            return () => reject(key);
+          }
+          if (typeof value === 'function') {
+            return (...args) => {
+              const result = value.apply(source, args);
+              return isReactive(result) ? readonly(result, options) : result;
+            };
+          }
+        }
+
+        return isReactive(value) ? readonly(value, options) : value;
+      },
+      set(obj, key) {
+        reject(key);
+        return true;
+      },
+      deleteProperty(obj, key) {
+        reject(key);
+        return true;
+      },
+      defineProperty(obj, key) {
+        reject(key);
+        return true;
+      },
+      has(obj, key) {
+        return Reflect.has(source, key);
+      },
+      ownKeys() {
+        return Reflect.ownKeys(source);
+      }
+    });
+
+    cache.set(source, proxy);
+    readonlySources.set(proxy, { source, strict });
+    return proxy;
+  }
+
+  // Rate limiting
+  // debounce: call fn `wait` ms after the last call; maxWait caps how long a
+  // steady stream of calls can hold it back. throttle: at most one call per
+  // `wait` ms. leading / trailing choose the edges (debounce defaults to
+  // trailing only, throttle to both). The returned function has flush(),
+  // cancel() and pending().
+  function rateLimit(fn, options = {}) {
+    const isThrottle = options.throttle != null && options.debounce == null;
+    const wait = Math.max(0, Number(isThrottle ? options.throttle : options.debounce) || 0);
+    const leading = isThrottle ? options.leading !== false : !!options.leading;
+    const trailing = options.trailing !== false;
+    const maxWait = isThrottle
+      ? wait
+      : (options.maxWait != null ? Math.max(wait, Number(options.maxWait) || 0) : null);
+
+    let timer = null;
+    let lastArgs = null;
+    let lastThis = null;
+    let lastCallTime;
+    let lastInvokeTime = 0;
+
+    function invoke(time) {
+      const args = lastArgs;
+      const context = lastThis;
+      lastArgs = lastThis = null;
+      lastInvokeTime = time;
+      return fn.apply(context, args);
+    }
+
+    function shouldInvoke(time) {
+      if (lastCallTime === undefined) return true;
+      const sinceCall = time - lastCallTime;
+      return sinceCall >= wait || sinceCall < 0 ||
+        (maxWait !== null && time - lastInvokeTime >= maxWait);
+    }
+
+    function remainingWait(time) {
+      const waitLeft = wait - (time - lastCallTime);
+      return maxWait !== null
+        ? Math.min(waitLeft, maxWait - (time - lastInvokeTime))
+        : waitLeft;
+    }
+
+    function trailingEdge(time) {
+      timer = null;
+      if (trailing && lastArgs) return invoke(time);
+      lastArgs = lastThis = null;
+      return undefined;
+    }
+
+    function timerExpired() {
+      const time = Date.now();
+      if (shouldInvoke(time)) return trailingEdge(time);
+      timer = setTimeout(timerExpired, remainingWait(time));
+      return undefined;
+    }
+
+    function limited(...args) {
+      const time = Date.now();
+      const invoking = shouldInvoke(time);
+      lastArgs = args;
+      lastThis = this;
+      lastCallTime = time;
+
+      if (invoking) {
+        if (timer === null) {
+          lastInvokeTime = time;
+          timer = setTimeout(timerExpired, wait);
+          return leading ? invoke(time) : undefined;
+        }
+        if (maxWait !== null) {
+          clearTimeout(timer);
+          timer = setTimeout(timerExpired, wait);
+          return invoke(time);
+        }
+      }
+      if (timer === null) timer = setTimeout(timerExpired, wait);
+      return undefined;
+    }
+
+    // Run a waiting trailing call now
+    limited.flush = () => {
+      if (timer === null) return undefined;
+      clearTimeout(timer);
+      return trailingEdge(Date.now());
+    };
+
+    // Drop a waiting trailing call
+    limited.cancel = () => {
+      if (timer !== null) clearTimeout(timer);
+      timer = null;
+      lastArgs = lastThis = null;
+      lastCallTime = undefined;
+      lastInvokeTime = 0;
+    };
+
+    limited.pending = () => timer !== null;
+
+    return limited;
+  }
+
+  function isRateLimited(options) {
+    return !!options && (options.debounce != null || options.throttle != null);
+  }
+
+  // Effect
+  // options:
+  //   lazy - don't run now; call runner.run() to start
+  //   scheduler(runner) - called instead of queueing a re-run; it may call runner.run()
+  //   flush ('pre' | 'post' | 'sync') or priority (a PRIORITY rank) - when it re-runs
+  //   onTrack(event) / onTrigger(event) - a dependency was added / a change queued
+  //     a re-run; event is { effect, target, key, type, newValue?, oldValue? }
+  //   name - shown in error messages
+  //   debounce, throttle, maxWait, leading, trailing - rate limit re-runs
+  // Returns the runner: calling it (or runner.stop()) stops the effect;
+  // runner.run() runs it now and runner.deps lists the dep Sets it reads.
+  function effect(fn, options = {}) {
+    const run = () => {
+      if (!execute.active) return untrack(fn);
+      cleanupEffect(execute);
+      const prevEffect = currentEffect;
+      currentEffect = execute;
+      try {
+        return fn();
+      } finally {
+        currentEffect = prevEffect;
+      }
+    };
+    const limited = isRateLimited(options) ? rateLimit(run, options) : null;
+
+    // A re-run is skipped when every computed it reads came out unchanged
+    const execute = limited
+      ? () => { if (execute.active && depsChanged(execute)) limited(); }
+      : () => { if (depsChanged(execute)) run(); };
+    execute.active = true;
+    execute.deps = [];
+    execute.versions = [];
+    if (limited) execute.onStop = limited.cancel;
+    if (options.flush) execute.flush = options.flush;
+    if (typeof options.priority === 'number') execute.priority = options.priority;
+    if (options.name) execute.effectName = options.name;
+    if (typeof options.onTrack === 'function') execute.onTrack = options.onTrack;
+    if (typeof options.onTrigger === 'function') execute.onTrigger = options.onTrigger;
+
+    const runner = () => stop(execute);
+    runner.effect = execute;
+    runner.stop = runner;
+    runner.run = run;
+    runner.deps = execute.deps;
+    if (limited) {
+      runner.flush = limited.flush;
+      runner.cancel = limited.cancel;
+    }
+    if (typeof options.scheduler === 'function') {
+      execute.scheduler = () => {
+        if (execute.active) options.scheduler(runner);
+      };
+    }
+    execute.handle = runner;
+
+    if (!options.lazy) run();
+    recordDisposer(runner);
+    return runner;
+  }
+
+  // Effect scope
+  // Effects, watchers, computeds and bindings created inside scope.run() are
+  // stopped together by scope.stop(). Scopes created inside a run belong to
+  // the outer scope (unless detached) and stop with it.
+  function effectScope(detached = false) {
+    let active = true;
+    const disposers = [];
+    const children = new Set();
+    const parent = detached ? null : activeScope;
+
+    const scope = {
+      get active() {
+        return active;
+      },
+
+      run(fn) {
+        if (!active) {
+          console.warn('[Reactive] Cannot run an inactive effect scope');
+          return undefined;
+        }
+        const prevScope = activeScope;
+        activeScope = scope;
+        try {
+          return fn();
+        } finally {
+          activeScope = prevScope;
+        }
+      },
+
+      stop() {
+        if (!active) return;
+        active = false;
+        children.forEach(child => child.stop());
+        // Last created, first stopped
+        for (let i = disposers.length - 1; i >= 0; i--) {
+          try {
+            disposers[i]();
+          } catch (error) {
+            console.error('[Reactive] Error while stopping effect scope:', error);
+          }
+        }
+        disposers.length = 0;
+        if (parent) parent._children.delete(scope);
+      },
+
+      _children: children,
+      _disposers: disposers
+    };
+
+    if (parent) parent._children.add(scope);
+    return scope;
+  }
+
+  function recordDisposer(fn) {
+    if (activeScope) activeScope._disposers.push(fn);
+  }
+
+  // Register a callback to run when the current scope stops
+  function onScopeDispose(fn) {
+    if (!activeScope) {
+      console.warn('[Reactive] onScopeDispose() called outside of an effect scope');
+      return;
+    }
+    activeScope._disposers.push(fn);
+  }
+
+  function getCurrentScope() {
+    return activeScope;
+  }
+
+  // Computed
+  // Accepts a getter function or a { get, set } pair for a writable computed
+  function addComputed(state, key, fnOrDef) {
+    const meta = reactiveMap.get(state);
+    if (!meta) {
+      console.error('[Reactive] Cannot add computed to non-reactive state');
+      return;
+    }
+
+    const isPair = fnOrDef && typeof fnOrDef === 'object';
+    const fn = isPair ? fnOrDef.get : fnOrDef;
+    if (typeof fn !== 'function') {
+      console.error(`[Reactive] Computed "${key}" needs a getter function`);
+      return;
+    }
+
+    const comp = {
+      fn,
+      set: isPair && typeof fnOrDef.set === 'function' ? fnOrDef.set : null,
+      key,
+      owner: meta,
+      context: state,
+      value: undefined,
+      dirty: true,
+      runner: {
+        isComputed: true,
+        deps: [],
+        versions: []
+      }
+    };
+    comp.runner.comp = comp;
+
+    // Whoever reads the computed (effects or other computeds) joins this Set
+    if (!meta.deps.has(key)) meta.deps.set(key, new Set());
+    comp.subscribers = meta.deps.get(key);
+    comp.subscribers.computed = comp;
+
+    meta.computedMap.set(key, comp);
+
+    // A stopped computed no longer follows its sources
+    recordDisposer(() => {
+      comp.stopped = true;
+      cleanupEffect(comp.runner);
+    });
+
+    Object.defineProperty(state, key, {
+      get() {
+        refreshComputed(comp);
+        
+        track(meta.deps, key, state, 'get');
+        
+        return comp.value;
+      },
+      set(value) {
+        writeComputed(comp, state, value);
+      },
+      enumerable: true,
+      configurable: true
+    });
+  }
+
+  // The setter runs inside a batch so the writes it fans out to settle together
+  function writeComputed(comp, state, value) {
+    if (!comp.set) {
+      console.warn(`[Reactive] Cannot set computed property "${comp.key}". It has no setter.`);
+      return;
+    }
+    batch(() => comp.set.call(state, value));
+  }
+
+  // Watch
+  // options: { immediate, deep, equals(a, b), flush: 'sync' | 'pre' | 'post' }
+  // The callback gets (newValue, oldValue, onCleanup); a function registered
+  // with onCleanup runs before the next call and when the watcher stops.
+  function addWatch(state, keyOrFn, callback, options = {}) {
+    if (isPathPattern(keyOrFn)) {
+      return watchPath(state, keyOrFn, callback, options);
+    }
+
+    const {
+      immediate = false,
+      deep = false,
+      equals = null,
+      flush: flushMode = 'pre'
+    } = options;
+
+    const getter = typeof keyOrFn === 'function'
+      ? () => keyOrFn.call(state)
+      : () => state[keyOrFn];
+
+    let oldValue;
+    let initialized = false;
+    let cleanup = null;
+    const onCleanup = (fn) => { cleanup = fn; };
+
+    const runCallback = (newValue, prevValue) => {
+      if (cleanup) {
+        cleanup();
+        cleanup = null;
+      }
+      untrack(() => callback(newValue, prevValue, onCleanup));
+    };
+
+    const stopEffect = effect(() => {
+      const newValue = getter();
+      if (deep) traverse(newValue);
+
+      if (!initialized) {
+        initialized = true;
+        oldValue = newValue;
+        if (immediate) runCallback(newValue, undefined);
+        return;
+      }
+
+      // A deep watcher fires on any nested change unless told how to compare;
+      // otherwise the configured equality decides (Object.is by default)
+      const unchanged = equals
+        ? equals(newValue, oldValue)
+        : !deep && config.equals(newValue, oldValue);
+      if (unchanged) return;
+
+      const prevValue = oldValue;
+      oldValue = newValue;
+      runCallback(newValue, prevValue);
+    });
+    stopEffect.effect.flush = flushMode;
+
+    const stop = () => {
+      stopEffect();
+      if (cleanup) {
+        cleanup();
+        cleanup = null;
+      }
+    };
+    stop.effect = stopEffect.effect;
+    recordDisposer(stop);
+    return stop;
+  }
+
+  // Path watch
+  // 'user.address.city' follows a dotted path; '*' matches any one key and
+  // '**' any number of nested keys ('items.*.done', 'settings.**').
+  // The callback gets (newValue, oldValue, path, onCleanup) once for every
+  // concrete path that changed, e.g. 'items.2.done'. A path that appears has
+  // no oldValue; one that disappears has no newValue.
+  function isPathPattern(key) {
+    return typeof key === 'string' && (key.includes('.') || key.includes('*'));
+  }
+
+  function readKey(value, key) {
+    return value instanceof Map ? value.get(key) : value[key];
+  }
+
+  function ownKeysOf(value) {
+    if (value instanceof Map) return Array.from(value.keys()).map(String);
+    if (value instanceof Set) return [];
+    return Object.keys(value);
+  }
+
+  // Fill `out` with concrete path -> value for every match of `segments`
+  function collectPaths(value, segments, i, prefix, out, stack) {
+    if (i === segments.length) {
+      out.set(prefix.join('.'), value);
+      return;
+    }
+    if (!value || typeof value !== 'object' || stack.includes(value)) return;
+
+    const segment = segments[i];
+    stack.push(value);
+    if (segment === '*' || segment === '**') {
+      ownKeysOf(value).forEach(key => {
+        const child = readKey(value, key);
+        const path = prefix.concat(key);
+        collectPaths(child, segments, i + 1, path, out, stack);
+        // '**' may also swallow this key and keep going down
+        if (segment === '**') collectPaths(child, segments, i, path, out, stack);
+      });
+    } else {
+      collectPaths(readKey(value, segment), segments, i + 1, prefix.concat(segment), out, stack);
+    }
+    stack.pop();
+  }
+
+  function watchPath(state, path, callback, options = {}) {
+    const {
+      immediate = false,
+      deep = false,
+      equals = null,
+      flush: flushMode = 'pre'
+    } = options;
+
+    const segments = path.split('.');
+    const wildcard = segments.some(s => s === '*' || s === '**');
+
+    const read = () => {
+      if (!wildcard) return new Map([[path, getNestedProperty(state, path)]]);
+      const values = new Map();
+      collectPaths(state, segments, 0, [], values, []);
+      return values;
+    };
+
+    let previous = null;
+    let cleanup = null;
+    const onCleanup = (fn) => { cleanup = fn; };
+
+    const runCallback = (newValue, oldValue, changedPath) => {
+      if (cleanup) {
+        cleanup();
+        cleanup = null;
+      }
+      untrack(() => callback(newValue, oldValue, changedPath, onCleanup));
+    };
+
+    const stopEffect = effect(() => {
+      const values = read();
+      if (deep) values.forEach(value => traverse(value));
+
+      if (!previous) {
+        previous = values;
+        if (immediate) values.forEach((value, p) => runCallback(value, undefined, p));
+        return;
+      }
+
+      const changes = [];
+      values.forEach((value, p) => {
+        const oldValue = previous.get(p);
+        const unchanged = previous.has(p) && (equals
+          ? equals(value, oldValue)
+          : !deep && config.equals(value, oldValue));
+        if (!unchanged) changes.push([value, oldValue, p]);
+      });
+      previous.forEach((oldValue, p) => {
+        if (!values.has(p)) changes.push([undefined, oldValue, p]);
+      });
+
+      previous = values;
+      changes.forEach(([value, oldValue, p]) => runCallback(value, oldValue, p));
+    });
+    stopEffect.effect.flush = flushMode;
+
+    const stop = () => {
+      stopEffect();
+      if (cleanup) {
+        cleanup();
+        cleanup = null;
+      }
+    };
+    stop.effect = stopEffect.effect;
+    recordDisposer(stop);
+    return stop;
+  }
+
+  // Rate-limited watch
+  // The callback gets the latest value and the value from before the first
+  // change of the burst. With wildcard paths only the last change of a burst
+  // is delivered. The returned stop function has flush() and cancel().
+  function watchLimited(state, keyOrFn, callback, options) {
+    const { debounce, throttle, maxWait, leading, trailing, ...watchOptions } = options;
+    let stopWatch = null;
+    let inBurst = false;
+    let burstOldValue;
+
+    const limited = rateLimit((...args) => {
+      inBurst = false;
+      if (stopWatch && !stopWatch.effect.active) return;
+      args[1] = burstOldValue;
+      callback(...args);
+    }, { debounce, throttle, maxWait, leading, trailing });
+
+    stopWatch = addWatch(state, keyOrFn, (newValue, oldValue, ...rest) => {
+      if (!inBurst) {
+        inBurst = true;
+        burstOldValue = oldValue;
+      }
+      limited(newValue, oldValue, ...rest);
+    }, watchOptions);
+
+    const cancel = () => {
+      limited.cancel();
+      inBurst = false;
+    };
+    stopWatch.effect.onStop = cancel;
+
+    const stop = () => stopWatch();
+    stop.effect = stopWatch.effect;
+    stop.flush = limited.flush;
+    stop.cancel = cancel;
+    recordDisposer(stop);
+    return stop;
+  }
+
+  // options: a wait in ms, or { debounce, maxWait, leading, trailing, ...watch options }
+  function watchDebounced(state, keyOrFn, callback, options = {}) {
+    if (typeof options === 'number') options = { debounce: options };
+    return watchLimited(state, keyOrFn, callback, { ...options, throttle: undefined, debounce: options.debounce || 0 });
+  }
+
+  // options: a wait in ms, or { throttle, leading, trailing, ...watch options }
+  function watchThrottled(state, keyOrFn, callback, options = {}) {
+    if (typeof options === 'number') options = { throttle: options };
+    return watchLimited(state, keyOrFn, callback, { ...options, debounce: undefined, throttle: options.throttle || 0 });
+  }
+
+  // Watch a { key: callback } map; a value may also be { handler, ...options }
+  function watchDefs(state, defs, options = {}) {
+    return Object.entries(defs).map(([key, def]) => {
+      if (def && typeof def === 'object') {
+        return addWatch(state, key, def.handler, { ...options, ...def });
+      }
+      return addWatch(state, key, def, options);
+    });
+  }
+
+  // Read every nested value so a deep watcher depends on all of them
+  function traverse(value, seen = new Set()) {
+    if (!value || typeof value !== 'object' || seen.has(value)) return value;
+    seen.add(value);
+
+    if (value instanceof Map || value instanceof Set) {
+      value.forEach(v => traverse(v, seen));
+    } else if (Array.isArray(value)) {
+      for (let i = 0; i < value.length; i++) traverse(value[i], seen);
+    } else {
+      for (const key in value) traverse(value[key], seen);
+    }
+    return value;
+  }
+
+  function untrack(fn) {
+    const prev = currentEffect;
+    currentEffect = null;
+    try {
+      return fn();
+    } finally {
+      currentEffect = prev;
+    }
+  }
+
+  // Schema validation
+  // A JSON-Schema-like subset: type (or an array of types), enum, required,
+  // properties and items. Types: string, number, integer, boolean, object,
+  // array, null.
+  const SCHEMA_MODES = ['warn', 'throw', 'coerce'];
+
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  function matchesType(types, value) {
+    const actual = typeOf(value);
+    return types.some(type =>
+      type === actual ||
+      (type === 'integer' && Number.isInteger(value))
+    );
+  }
+
+  // Returns a list of { path, message }; an empty list means the value is valid
+  function validate(value, schema, path = [], errors = []) {
+    if (!schema) return errors;
+    value = toRaw(value);
+    const at = path.join('.') || '(root)';
+
+    const types = [].concat(schema.type || []);
+    if (types.length && !matchesType(types, value)) {
+      errors.push({ path: at, message: `"${at}" must be ${types.join(' or ')} (got ${typeOf(value)})` });
+      return errors;
+    }
+
+    if (schema.enum && !schema.enum.some(option => Object.is(option, value))) {
+      errors.push({ path: at, message: `"${at}" must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+    }
+
+    if (typeOf(value) === 'object') {
+      (schema.required || []).forEach(key => {
+        if (!Object.prototype.hasOwnProperty.call(value, key)) {
+          const keyPath = path.concat(key).join('.');
+          errors.push({ path: keyPath, message: `"${keyPath}" is required` });
+        }
+      });
+      Object.entries(schema.properties || {}).forEach(([key, sub]) => {
+        if (Object.prototype.hasOwnProperty.call(value, key)) {
+          validate(value[key], sub, path.concat(key), errors);
+        }
+      });
+    } else if (Array.isArray(value) && schema.items) {
+      value.forEach((item, i) => validate(item, schema.items, path.concat(i), errors));
+    }
+
+    return errors;
   }
 
-  // Effect
-  function effect(fn) {
-    const execute = () => {
-      const prevEffect = currentEffect;
-      currentEffect = execute;
-      try {
-        fn();
-      } finally {
-        currentEffect = prevEffect;
-      }
-    };
-    execute();
-    return () => { currentEffect = null; };
+  function childSchema(schema, key) {
+    if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, key)) {
+      return schema.properties[key];
+    }
+    if (schema.items && isArrayIndex(String(key))) {
+      return schema.items;
+    }
+    return null;
   }
 
-  // Computed
-  function addComputed(state, key, fn) {
-    const meta = reactiveMap.get(state);
-    if (!meta) {
-      console.error('[Reactive] Cannot add computed to non-reactive state');
-      return;
+  // Convert strings, numbers and booleans to the type the schema asks for
+  function coerce(value, schema) {
+    const types = [].concat(schema.type || []);
+    if (!types.length || matchesType(types, value)) return value;
+
+    for (const type of types) {
+      if ((type === 'number' || type === 'integer') &&
+          typeof value === 'string' && value.trim() !== '' && !isNaN(value)) {
+        const n = Number(value);
+        if (type === 'number' || Number.isInteger(n)) return n;
+      }
+      if (type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+      }
+      if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+        return String(value);
+      }
     }
+    return value;
+  }
 
-    const comp = {
-      fn,
-      value: undefined,
-      dirty: true,
-      deps: new Set()
-    };
+  // Nested objects are checked against their part of the parent's schema
+  function attachSchema(parent, key, child) {
+    const guard = schemaMap.get(parent);
+    if (!guard || !child || typeof child !== 'object') return;
+    const sub = childSchema(guard.schema, key);
+    if (sub) schemaMap.set(toRaw(child), { schema: sub, mode: guard.mode, path: guard.path.concat(key) });
+  }
 
-    meta.computedMap.set(key, comp);
+  function checkWrite(guard, key, value) {
+    const sub = childSchema(guard.schema, key);
+    if (!sub) return value;
 
-    Object.defineProperty(state, key, {
-      get() {
-        if (comp.dirty) {
-          comp.deps.clear();
-          const prevEffect = currentEffect;
-          currentEffect = {
-            isComputed: true,
-            onDep: (k) => comp.deps.add(k)
-          };
-          try {
-            comp.value = fn.call(state);
-            comp.dirty = false;
-          } finally {
-            currentEffect = prevEffect;
-          }
-        }
-        
-        if (currentEffect && !currentEffect.isComputed) {
-          if (!meta.deps.has(key)) meta.deps.set(key, new Set());
-          meta.deps.get(key).add(currentEffect);
-        }
-        
-        return comp.value;
-      },
-      enumerable: true,
-      configurable: true
-    });
+    if (guard.mode === 'coerce') value = coerce(value, sub);
+    const errors = validate(value, sub, guard.path.concat(key));
+    if (errors.length === 0) return value;
+
+    const message = `[Reactive] Schema: ${errors.map(e => e.message).join('; ')}`;
+    if (guard.mode === 'throw') throw new Error(message);
+    console.warn(message);
+    return value;
   }
 
-  // Watch
-  function addWatch(state, keyOrFn, callback) {
-    let oldValue;
-    if (typeof keyOrFn === 'function') {
-      oldValue = keyOrFn.call(state);
-      return effect(() => {
-        const newValue = keyOrFn.call(state);
-        if (newValue !== oldValue) {
-          callback(newValue, oldValue);
-          oldValue = newValue;
-        }
-      });
-    } else {
-      oldValue = state[keyOrFn];
-      return effect(() => {
-        const newValue = state[keyOrFn];
-        if (newValue !== oldValue) {
-          callback(newValue, oldValue);
-          oldValue = newValue;
-        }
-      });
+  // A required key may not be deleted; there is nothing to coerce, so
+  // 'coerce' warns like 'warn'
+  function checkDelete(guard, key) {
+    if (!(guard.schema.required || []).includes(key)) return;
+
+    const keyPath = guard.path.concat(key).join('.');
+    const message = `[Reactive] Schema: "${keyPath}" is required`;
+    if (guard.mode === 'throw') throw new Error(message);
+    console.warn(message);
+  }
+
+  function applySchema(state, schema, mode = 'warn') {
+    if (!SCHEMA_MODES.includes(mode)) {
+      console.warn(`[Reactive] Unknown schemaMode "${mode}", using "warn"`);
+      mode = 'warn';
+    }
+
+    const raw = toRaw(state);
+    schemaMap.set(raw, { schema, mode, path: [] });
+
+    const initialErrors = validate(raw, schema);
+    if (initialErrors.length) {
+      const message = `[Reactive] Schema: ${initialErrors.map(e => e.message).join('; ')}`;
+      if (mode === 'throw') throw new Error(message);
+      console.warn(message);
     }
+
+    // Re-validated lazily, after any write anywhere in the tree
+    const errorsView = derived(() => validate(traverse(state), schema));
+    Object.defineProperty(state, '$schemaErrors', {
+      get: () => errorsView.get(),
+      enumerable: false,
+      configurable: true
+    });
   }
 
   // Notify
@@ -485,14 +1983,9 @@ return value;
     if (!meta) return;
     
     if (key) {
-      const effects = meta.deps.get(key);
-      if (effects) {
-        effects.forEach(e => e && !e.isComputed && queueUpdate(e));
-      }
+      triggerDeps([meta.deps.get(key)], { target: state, key, type: 'notify' });
     } else {
-      meta.deps.forEach(effects => {
-        effects.forEach(e => e && !e.isComputed && queueUpdate(e));
-      });
+      triggerDeps(Array.from(meta.deps.values()), { target: state, type: 'notify' });
     }
   }
 
@@ -513,16 +2006,16 @@ return value;
       }
 
       elements.forEach(el => {
-        if (typeof bindingDef === 'function') {
+        if (typeof bindingDef === 'function' || isSignal(bindingDef)) {
           cleanups.push(effect(() => {
-            const value = bindingDef();
+            const value = readSource(bindingDef);
             applyValue(el, null, value);
           }));
         } else if (typeof bindingDef === 'object') {
           Object.entries(bindingDef).forEach(([prop, fn]) => {
-            if (typeof fn === 'function') {
+            if (typeof fn === 'function' || isSignal(fn)) {
               cleanups.push(effect(() => {
-                const value = fn();
+                const value = readSource(fn);
                 applyValue(el, prop, value);
               }));
             }
@@ -735,6 +2228,86 @@ return value;
     return state;
   }
 
+  // Signal
+  // A single value with its own subscriber Set - no proxy and no $-methods,
+  // for hot paths (pointer position, timers) that update many times a second.
+  // options: { equals: fn | 'shallow' } - when set() counts as a change
+  function signal(initial, options = {}) {
+    let value = initial;
+    const subscribers = new Set();
+    const equals = options.equals ? resolveEquals(options.equals) : null;
+
+    const sig = {
+      [IS_SIGNAL]: true,
+      get() {
+        trackDep(subscribers, sig, 'value');
+        return value;
+      },
+      peek() {
+        return value;
+      },
+      set(next) {
+        if ((equals || config.equals)(value, next)) return;
+        const oldValue = value;
+        value = next;
+        // Logged so a rolled-back transaction can set it back
+        const tx = transactionOf(sig);
+        if (tx) tx.log.push({ type: 'set', target: sig, key: 'value', value: next, oldValue, group: mutationGroup });
+        triggerDeps([subscribers], { target: sig, key: 'value', type: 'set', newValue: next, oldValue });
+      },
+      update(fn) {
+        sig.set(fn(value));
+      },
+      valueOf() { return value; },
+      toString() { return String(value); }
+    };
+    return sig;
+  }
+
+  // Derived signal: a lazily cached computation over signals or state,
+  // re-evaluated on the first read after one of its sources changes
+  function derived(fn) {
+    if (typeof fn !== 'function') {
+      throw new Error('[Reactive] derived() needs a function');
+    }
+
+    const comp = {
+      fn,
+      key: 'derived',
+      context: null,
+      value: undefined,
+      dirty: true,
+      subscribers: new Set(),
+      runner: {
+        isComputed: true,
+        deps: [],
+        versions: []
+      }
+    };
+    comp.runner.comp = comp;
+    comp.subscribers.computed = comp;
+
+    const read = () => refreshComputed(comp);
+
+    const view = {
+      [IS_SIGNAL]: true,
+      get() {
+        read();
+        trackDep(comp.subscribers, view, 'value');
+        return comp.value;
+      },
+      peek: read,
+      valueOf: read,
+      toString() { return String(read()); }
+    };
+    return view;
+  }
+
+  // Read a binding source: signals through get(), functions by calling them
+  function readSource(source, context) {
+    return isSignal(source) ? source.get() : source.call(context);
+  }
+
   // Collection
   function collection(items = []) {
     const state = createReactive({ items });
@@ -841,9 +2414,266 @@ return value;
     return state;
   }
 
+  // Async computed
+  // options: { initial, debounce (ms), onError(error) }
+  // state[key] becomes a reactive { value, pending, error }. The reads fn makes
+  // before its first await are tracked; when one changes, the previous run is
+  // aborted through its AbortSignal and fn starts again (after `debounce` ms
+  // of quiet, if set). Results of superseded runs are dropped.
+  function computedAsync(state, key, fn, options = {}) {
+    if (!isReactive(state)) {
+      console.error('[Reactive] computedAsync() needs reactive state');
+      return;
+    }
+    if (typeof fn !== 'function') {
+      console.error(`[Reactive] computedAsync "${key}" needs a function`);
+      return;
+    }
+
+    const { initial, debounce = 0, onError = null } = options;
+    const result = createReactive({ value: initial, pending: false, error: null });
+    state[key] = result;
+
+    let controller = null;
+    let timer = null;
+    let runId = 0;
+
+    // Re-runs keep their subscriptions while a debounce is waiting. The run
+    // in flight is out of date at once: it is aborted and its result ignored,
+    // and the status stays pending until the debounced run settles.
+    const runner = () => {
+      if (!runner.active) return;
+      if (debounce > 0) {
+        clearTimeout(timer);
+        if (controller) controller.abort();
+        runId++;
+        result.pending = true;
+        timer = setTimeout(start, debounce);
+      } else {
+        start();
+      }
+    };
+    runner.active = true;
+    runner.deps = [];
+
+    function start() {
+      timer = null;
+      if (!runner.active) return;
+      if (controller) controller.abort();
+      controller = new AbortController();
+      const signal = controller.signal;
+      const id = ++runId;
+
+      cleanupEffect(runner);
+      const prevEffect = currentEffect;
+      currentEffect = runner;
+      let pending;
+      try {
+        pending = fn.call(state, signal);
+      } catch (e) {
+        pending = Promise.reject(e);
+      } finally {
+        currentEffect = prevEffect;
+      }
+
+      batch(() => {
+        result.pending = true;
+        result.error = null;
+      });
+
+      Promise.resolve(pending).then(
+        value => {
+          if (id !== runId || signal.aborted) return;
+          batch(() => {
+            result.value = value;
+            result.pending = false;
+          });
+        },
+        error => {
+          if (id !== runId || signal.aborted) return;
+          batch(() => {
+            result.error = error;
+            result.pending = false;
+          });
+          if (onError) onError(error);
+          else console.error(`[Reactive] computedAsync "${key}" failed:`, error);
+        }
+      );
+    }
+
+    start();
+
+    // Run again now, skipping any debounce
+    result.$refresh = function() {
+      clearTimeout(timer);
+      start();
+    };
+
+    result.$stop = function() {
+      clearTimeout(timer);
+      if (controller) controller.abort();
+      stop(runner);
+      if (this.pending) this.pending = false;
+    };
+
+    recordDisposer(() => result.$stop());
+
+    return result;
+  }
+
+  // Actions
+  // An action is a function (store, ...args) or, for async work, an object
+  // { handler, policy, wait, transaction }. With `transaction: true` a failed
+  // call rolls its writes back. The handler's `this` is { name, signal } and
+  // store.$actions[name] holds its reactive { pending, error, lastResult }.
+  // policy:
+  //   'parallel'   (default) every call runs
+  //   'takeLatest' a new call aborts the one in flight; only the latest updates status
+  //   'takeFirst'  calls made while one is in flight get its promise
+  //   'queue'      calls run one after another
+  //   'throttle'   at most one call starts per `wait` ms; the rest get its promise
+  const ACTION_POLICIES = ['parallel', 'takeLatest', 'takeFirst', 'queue', 'throttle'];
+
+  function actionStatus(state, name) {
+    if (!Object.prototype.hasOwnProperty.call(toRaw(state), '$actions')) {
+      Object.defineProperty(state, '$actions', {
+        value: createReactive({}),
+        enumerable: false,
+        configurable: true
+      });
+    }
+    const all = state.$actions;
+    if (!all[name]) all[name] = { pending: false, error: null, lastResult: undefined };
+    return all[name];
+  }
+
+  // Returns run(store, args); run.async is set when it always returns a promise
+  function createAction(state, name, def) {
+    if (typeof def === 'function') {
+      const run = (store, args) => def(store, ...args);
+      run.async = def.constructor && def.constructor.name === 'AsyncFunction';
+      return run;
+    }
+
+    const { handler, policy = 'parallel', wait = 0, transaction: atomic = false } = def || {};
+    if (typeof handler !== 'function') {
+      throw new Error(`[Reactive] Action "${name}" needs a handler function`);
+    }
+    if (!ACTION_POLICIES.includes(policy)) {
+      throw new Error(`[Reactive] Unknown policy "${policy}" for action "${name}"`);
+    }
+
+    const status = actionStatus(state, name);
+    let running = 0;         // accepted calls not yet settled (queued ones included)
+    let latestId = 0;
+    let controller = null;
+    let inflight = null;
+    let queueTail = Promise.resolve();
+    let lastStart = 0;
+
+    function accept() {
+      running++;
+      batch(() => {
+        status.pending = true;
+        status.error = null;
+      });
+    }
+
+    function start(store, args) {
+      const ctrl = new AbortController();
+      const id = ++latestId;
+      controller = ctrl;
+
+      const invoke = () => handler.call({ name, signal: ctrl.signal }, store, ...args);
+      let promise;
+      try {
+        promise = Promise.resolve(atomic ? transaction(invoke, { states: state }) : invoke());
+      } catch (error) {
+        promise = Promise.reject(error);
+      }
+
+      // Aborted and (under takeLatest) superseded runs leave the status alone
+      const settle = (key, value) => {
+        running--;
+        const current = !ctrl.signal.aborted && (policy !== 'takeLatest' || id === latestId);
+        batch(() => {
+          if (current) status[key] = value;
+          status.pending = running > 0;
+        });
+      };
+
+      return promise.then(
+        value => { settle('lastResult', value); return value; },
+        error => { settle('error', error); throw error; }
+      );
+    }
+
+    const run = (store, args) => {
+      switch (policy) {
+        case 'takeLatest':
+          if (controller) controller.abort();
+          accept();
+          return start(store, args);
+
+        case 'takeFirst':
+          if (running > 0) return inflight;
+          accept();
+          return (inflight = start(store, args));
+
+        case 'queue': {
+          accept();
+          const run = queueTail.then(() => start(store, args));
+          queueTail = run.catch(() => {});
+          return run;
+        }
+
+        case 'throttle': {
+          const now = Date.now();
+          if (inflight && now - lastStart < wait) return inflight;
+          lastStart = now;
+          accept();
+          return (inflight = start(store, args));
+        }
+
+        default:
+          accept();
+          return start(store, args);
+      }
+    };
+    run.async = true;
+    return run;
+  }
+
   // Store
+  // Plugins registered with store.use() apply to every store created after;
+  // options.plugins adds more for one store. A plugin is a function (called on
+  // creation) or an object with any of these hooks, each given a context:
+  //   onCreate({ store, name, options })
+  //   onBeforeAction({ store, name, args })  - return false to cancel the call
+  //   onAfterAction({ store, name, args, result })
+  //   onActionError({ store, name, args, error })
+  //   onMutation({ store, mutation })        - every write to the store's state
+  const storePlugins = [];
+
   function store(initialState, options = {}) {
-    const state = createReactive(initialState);
+    // $reset() goes back to this copy (or to a fresh options.state() result)
+    const initialCopy = typeof options.state === 'function' ? null : cloneState(initialState);
+    const state = createReactive(initialState, {
+      schema: options.schema,
+      schemaMode: options.schemaMode,
+      equals: options.equals
+    });
+    const plugins = storePlugins.concat(options.plugins || [])
+      .map(p => typeof p === 'function' ? { onCreate: p } : p);
+
+    // Hooks are isolated from each other; only onBeforeAction may throw to block a call
+    const callHooks = (hook, context) => {
+      plugins.forEach(plugin => {
+        if (typeof plugin[hook] !== 'function') return;
+        try { plugin[hook](context); } 
+        catch (e) { console.error(`[Reactive] Store plugin ${hook} error:`, e); }
+      });
+    };
 
     if (options.getters) {
       Object.entries(options.getters).forEach(([key, fn]) => {
@@ -852,58 +2682,290 @@ return value;
     }
 
     if (options.actions) {
-      Object.entries(options.actions).forEach(([name, fn]) => {
+      Object.entries(options.actions).forEach(([name, def]) => {
+        const run = createAction(state, name, def);
         state[name] = function(...args) {
-          return fn(this, ...args);
+          if (plugins.length === 0) return run(this, args);
+          return runAction(this, name, run, args);
         };
       });
     }
 
+    const computedKeys = Object.keys(options.getters || {});
+    const actionNames = Object.keys(options.actions || {});
+    storeMeta.set(state, { actions: actionNames });
+
+    Object.defineProperties(state, {
+      $reset: {
+        value: function() {
+          const fresh = initialCopy ? cloneState(initialCopy) : options.state();
+          batch(() => {
+            const raw = toRaw(this);
+            Object.keys(raw).forEach(key => {
+              if (computedKeys.includes(key) || typeof raw[key] === 'function') return;
+              if (!(key in fresh)) delete this[key];
+            });
+            Object.keys(fresh).forEach(key => { this[key] = fresh[key]; });
+          });
+          return this;
+        },
+        writable: true,
+        enumerable: false,
+        configurable: true
+      },
+      // $patch({ user: { name } }) merges plain objects; $patch(s => ...) mutates freely
+      $patch: {
+        value: function(partialOrFn) {
+          batch(() => {
+            if (typeof partialOrFn === 'function') partialOrFn(this);
+            else mergeState(this, partialOrFn);
+          });
+          return this;
+        },
+        writable: true,
+        enumerable: false,
+        configurable: true
+      }
+    });
+
+    function runAction(store, name, run, args) {
+      const cancelled = plugins.some(plugin =>
+        typeof plugin.onBeforeAction === 'function' &&
+        plugin.onBeforeAction({ store, name, args }) === false
+      );
+      // A cancelled async action still hands back a promise
+      if (cancelled) return run.async ? Promise.resolve(undefined) : undefined;
+
+      const fail = (error) => {
+        callHooks('onActionError', { store, name, args, error });
+        throw error;
+      };
+
+      let result;
+      try {
+        result = run(store, args);
+      } catch (error) {
+        fail(error);
+      }
+
+      // Async actions report once they settle
+      if (result && typeof result.then === 'function') {
+        return result.then(value => {
+          callHooks('onAfterAction', { store, name, args, result: value });
+          return value;
+        }, fail);
+      }
+
+      callHooks('onAfterAction', { store, name, args, result });
+      return result;
+    }
+
+    if (plugins.some(p => typeof p.onMutation === 'function')) {
+      observe(state, mutation => callHooks('onMutation', { store: state, mutation }));
+    }
+
+    callHooks('onCreate', { store: state, name: options.name, options });
+
     return state;
   }
 
-  // Component
-  function component(config) {
-    const state = createReactive(config.state || {});
+  const storeMeta = new WeakMap(); // store -> { actions }
 
-    if (config.computed) {
-      Object.entries(config.computed).forEach(([key, fn]) => {
-        addComputed(state, key, fn);
-      });
+  function isPlainObject(value) {
+    if (!value || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+  }
+
+  // Deep copy of plain data; other objects (class instances, DOM) are shared
+  function cloneState(value) {
+    value = toRaw(value);
+    if (Array.isArray(value)) return value.map(cloneState);
+    if (value instanceof Map) return new Map(Array.from(value, ([k, v]) => [k, cloneState(v)]));
+    if (value instanceof Set) return new Set(Array.from(value, cloneState));
+    if (value instanceof Date) return new Date(value.getTime());
+    if (!isPlainObject(value)) return value;
+
+    const copy = {};
+    Object.keys(value).forEach(key => {
+      if (typeof value[key] !== 'function') copy[key] = cloneState(value[key]);
+    });
+    return copy;
+  }
+
+  function mergeState(target, partial) {
+    Object.keys(partial || {}).forEach(key => {
+      const next = partial[key];
+      const current = target[key];
+      if (isPlainObject(toRaw(next)) && isPlainObject(toRaw(current))) {
+        mergeState(current, next);
+      } else {
+        target[key] = next;
+      }
+    });
+  }
+
+  // Store registry
+  // defineStore(id, options | setup) returns useStore(); the store is created
+  // on first use, so getters and actions can call other stores' useStore().
+  // options: { state: () => ({...}), getters, actions, plugins }; a setup
+  // function is called once and returns the same shape. Each store lives in
+  // its own detached scope, so it outlasts the component that first used it.
+  const storeDefinitions = new Map(); // id -> options | setup
+  const storeInstances = new Map();   // id -> store
+  const storeScopes = new Map();      // id -> effect scope of the store
+  const storesCreating = new Set();
+
+  function defineStore(id, setup) {
+    if (storeDefinitions.has(id)) {
+      console.warn(`[Reactive] Store "${id}" is already defined. Replacing it.`);
+      storeInstances.delete(id);
+      if (storeScopes.has(id)) {
+        storeScopes.get(id).stop();
+        storeScopes.delete(id);
+      }
     }
+    storeDefinitions.set(id, setup);
 
-    const cleanups = [];
-    
-    if (config.watch) {
-      Object.entries(config.watch).forEach(([key, callback]) => {
-        cleanups.push(addWatch(state, key, callback));
-      });
+    const useStore = () => getStore(id);
+    useStore.$id = id;
+    return useStore;
+  }
+
+  function getStore(id) {
+    if (storeInstances.has(id)) return storeInstances.get(id);
+
+    const setup = storeDefinitions.get(id);
+    if (!setup) {
+      console.error(`[Reactive] Store "${id}" is not defined`);
+      return undefined;
+    }
+    if (storesCreating.has(id)) {
+      throw new Error(`[Reactive] Store "${id}" uses itself while being created`);
     }
 
-    if (config.effects) {
-      Object.values(config.effects).forEach(fn => {
-        cleanups.push(effect(fn));
+    storesCreating.add(id);
+    const scope = effectScope(true);
+    try {
+      const instance = scope.run(() => {
+        const options = typeof setup === 'function' ? setup() : setup;
+        const initial = typeof options.state === 'function' ? options.state() : (options.state || {});
+        return store(initial, { ...options, name: id });
       });
+      storeInstances.set(id, instance);
+      storeScopes.set(id, scope);
+      return instance;
+    } catch (error) {
+      scope.stop();
+      throw error;
+    } finally {
+      storesCreating.delete(id);
     }
+  }
+
+  // Root view over several stores: root.cart, root.dispatch('cart/add', item),
+  // root.$patch({ cart: {...} }), root.$reset() and root.$subscribe(fn) with
+  // paths prefixed by the store's name
+  function combineStores(stores) {
+    const names = Object.keys(stores);
+    const root = {};
+
+    names.forEach(name => {
+      Object.defineProperty(root, name, {
+        get: () => stores[name],
+        enumerable: true
+      });
+    });
+
+    root.dispatch = function(type, ...args) {
+      const slash = type.indexOf('/');
+      const name = type.slice(0, slash);
+      const action = type.slice(slash + 1);
+      const target = stores[name];
+      const meta = target && storeMeta.get(target);
+
+      if (slash === -1 || !meta || !meta.actions.includes(action)) {
+        throw new Error(`[Reactive] Unknown action "${type}"`);
+      }
+      return target[action](...args);
+    };
+
+    root.$patch = function(partial) {
+      batch(() => {
+        Object.keys(partial || {}).forEach(name => {
+          if (stores[name] && stores[name].$patch) stores[name].$patch(partial[name]);
+        });
+      });
+      return root;
+    };
+
+    root.$reset = function() {
+      batch(() => names.forEach(name => {
+        if (stores[name].$reset) stores[name].$reset();
+      }));
+      return root;
+    };
+
+    root.$subscribe = function(listener) {
+      const stops = names.map(name => observe(stores[name], mutation => {
+        listener({ ...mutation, store: name, path: [name].concat(mutation.path) });
+      }));
+      return () => stops.forEach(stop => stop());
+    };
+
+    return root;
+  }
 
-    if (config.bindings) {
-      cleanups.push(bindings(config.bindings));
+  store.use = function(plugin) {
+    if (!plugin || (typeof plugin !== 'function' && typeof plugin !== 'object')) {
+      console.error('[Reactive] store.use() expects a plugin function or object');
+      return store;
     }
+    if (!storePlugins.includes(plugin)) storePlugins.push(plugin);
+    return store;
+  };
+
+  // Component
+  function component(config) {
+    const state = createReactive(config.state || {});
+    // Everything created here, and in mounted(), is stopped by $destroy()
+    const scope = effectScope();
+
+    scope.run(() => {
+      if (config.computed) {
+        Object.entries(config.computed).forEach(([key, fn]) => {
+          addComputed(state, key, fn);
+        });
+      }
+
+      if (config.watch) {
+        watchDefs(state, config.watch);
+      }
+
+      if (config.effects) {
+        Object.values(config.effects).forEach(fn => effect(fn));
+      }
+
+      if (config.bindings) {
+        bindings(config.bindings);
+      }
+    });
 
     if (config.actions) {
-      Object.entries(config.actions).forEach(([name, fn]) => {
+      Object.entries(config.actions).forEach(([name, def]) => {
+        const run = createAction(state, name, def);
         state[name] = function(...args) {
-          return fn(this, ...args);
+          return run(this, args);
         };
       });
     }
 
     if (config.mounted) {
-      config.mounted.call(state);
+      scope.run(() => config.mounted.call(state));
     }
 
     state.$destroy = function() {
-      cleanups.forEach(c => c());
+      scope.stop();
       if (config.unmounted) {
         config.unmounted.call(this);
       }
@@ -915,30 +2977,30 @@ return value;
   // Reactive builder
   function reactive(initialState) {
     const state = createReactive(initialState);
-    const cleanups = [];
+    const scope = effectScope();
 
     const builder = {
       state,
+      scope,
       computed(defs) {
-        Object.entries(defs).forEach(([k, fn]) => addComputed(state, k, fn));
+        scope.run(() => Object.entries(defs).forEach(([k, fn]) => addComputed(state, k, fn)));
         return this;
       },
-      watch(defs) {
-        Object.entries(defs).forEach(([k, cb]) => {
-          cleanups.push(addWatch(state, k, cb));
-        });
+      watch(defs, options) {
+        scope.run(() => watchDefs(state, defs, options));
         return this;
       },
       effect(fn) {
-        cleanups.push(effect(fn));
+        scope.run(() => effect(fn));
         return this;
       },
       bind(defs) {
-        cleanups.push(bindings(defs));
+        scope.run(() => bindings(defs));
         return this;
       },
-      action(name, fn) {
-        state[name] = function(...args) { return fn(this, ...args); };
+      action(name, def) {
+        const run = createAction(state, name, def);
+        state[name] = function(...args) { return run(this, args); };
         return this;
       },
       actions(defs) {
@@ -946,11 +3008,11 @@ return value;
         return this;
       },
       build() {
-        state.destroy = () => cleanups.forEach(c => c());
+        state.destroy = () => scope.stop();
         return state;
       },
       destroy() {
-        cleanups.forEach(c => c());
+        scope.stop();
       }
     };
 
@@ -973,8 +3035,10 @@ return value;
       Object.entries(defs).forEach(([k, fn]) => addComputed(state, k, fn));
       return state;
     },
-    watch: (state, defs) => {
-      const cleanups = Object.entries(defs).map(([k, cb]) => addWatch(state, k, cb));
+    // watch(state, 'items.*.done', callback, options) watches a single key or path
+    watch: (state, defs, ...rest) => {
+      if (typeof defs === 'string') return addWatch(state, defs, ...rest);
+      const cleanups = watchDefs(state, defs, rest[0]);
       return () => cleanups.forEach(c => c());
     },
     effect,
@@ -988,9 +3052,17 @@ return value;
       Object.entries(defs).forEach(([k, v]) => result[k] = ref(v));
       return result;
     },
+    signal,
+    derived,
+    isSignal,
     form,                  
     async: asyncState, 
+    computedAsync,
     store,
+    storePlugins,
+    defineStore,
+    getStore,
+    combineStores,
     component,
     reactive,
     builder: reactive,
@@ -998,22 +3070,41 @@ return value;
     list: collection,
     collection: collection, 
     batch,
+    transaction,
+    validate,
+    configure,
+    rateLimit,
+    watchDebounced,
+    watchThrottled,
+    PRIORITY,
+    effectScope,
+    onScopeDispose,
+    getCurrentScope,
+    shallowEqual,
     isReactive,
+    isReadonly,
+    isShallow,
     toRaw,
+    shallow: (obj) => createReactive(obj, { shallow: true }),
+    readonly,
+    markRaw,
     notify,
     pause: () => batchDepth++,
     resume: (fl) => {
       batchDepth = Math.max(0, batchDepth - 1);
       if (fl && batchDepth === 0) flush();
     },
-    untrack: (fn) => {
-      const prev = currentEffect;
-      currentEffect = null;
-      try {
-        return fn();
-      } finally {
-        currentEffect = prev;
-      }
+    untrack,
+    nextTick,
+
+    // Internal hooks for extension modules
+    __stop: stop,
+    __observe: observe,
+    __revert: revertMutation,
+    __replay: replayMutation,
+    __deps: (state) => {
+      const meta = reactiveMap.get(state);
+      return meta ? meta.deps : null;
     }
   };
 
@@ -17,12 +17,47 @@
 
   const { state: createState, batch } = global.ReactiveUtils;
 
+  /**
+   * Attach per-item computeds to every item of a collection, now and later.
+   * Items added through any array write (add, push, reset, splice, or a new
+   * items array) get them as the write happens; each item gets them once.
+   * @param {Object} collection - Reactive collection
+   * @param {Object} defs - { key: getter | { get, set } }, `this` is the item
+   */
+  function attachItemComputed(collection, defs) {
+    const { computed, effectScope, toRaw } = global.ReactiveUtils;
+    const attached = new WeakSet();
+    // Item computeds live as long as their item, not the scope of whoever added it
+    const scope = effectScope(true);
+
+    const attach = (item) => {
+      if (!item || typeof item !== 'object') return;
+      const raw = toRaw(item);
+      if (attached.has(raw)) return;
+      attached.add(raw);
+      scope.run(() => computed(createState(raw), defs));
+    };
+
+    toRaw(collection.items).forEach(attach);
+
+    collection.$subscribe(mutation => {
+      if (mutation.path[0] !== 'items' || mutation.type === 'delete') return;
+      if (mutation.path.length === 1 && Array.isArray(mutation.value)) {
+        mutation.value.forEach(attach);
+      } else if (mutation.path.length === 2) {
+        attach(mutation.value);
+      }
+    });
+  }
+
   /**
    * Create a reactive collection with array management methods
    * @param {Array} items - Initial items
+   * @param {Object} [options]
+   * @param {Object} [options.itemComputed] - Lazily cached computeds added to each item
    * @returns {Object} Reactive collection
    */
-  function createCollection(items = []) {
+  function createCollection(items = [], options = {}) {
     // Create the base object with items array and methods BEFORE making it reactive
     const collectionObj = {
       items: [...items]
@@ -31,6 +66,10 @@
     // Make it reactive first
     const collection = createState(collectionObj);
 
+    if (options.itemComputed && typeof options.itemComputed === 'object') {
+      attachItemComputed(collection, options.itemComputed);
+    }
+
     // Now add collection-specific methods that won't conflict
     // These are added after reactive proxy creation
     const methods = {
@@ -210,10 +249,11 @@
    * Create a collection with computed properties
    * @param {Array} items - Initial items
    * @param {Object} computed - Computed properties
+   * @param {Object} [options] - Same as createCollection (itemComputed)
    * @returns {Object} Reactive collection with computed properties
    */
-  function createCollectionWithComputed(items = [], computed = {}) {
-    const collection = createCollection(items);
+  function createCollectionWithComputed(items = [], computed = {}, options = {}) {
+    const collection = createCollection(items, options);
     
     if (computed && typeof computed === 'object') {
       Object.entries(computed).forEach(([key, fn]) => {
@@ -272,7 +312,7 @@
 
   console.log('[Collections Extension] v1.0.0 loaded successfully');
   console.log('[Collections Extension] Available methods:');
-  console.log('  - Collections.create(items) / ReactiveUtils.collection(items)');
+  console.log('  - Collections.create(items, { itemComputed }) / ReactiveUtils.collection(items)');
   console.log('  - collection.add(item)');
   console.log('  - collection.remove(predicate)');
   console.log('  - collection.update(predicate, updates)');
@@ -301,8 +341,8 @@
   const originalCreateCollection = global.ReactiveUtils.collection;
 
   // Enhanced collection creation with toggleAll
-  function createCollectionWithToggleAll(items = []) {
-    const collection = originalCreateCollection(items);
+  function createCollectionWithToggleAll(items = [], options = {}) {
+    const collection = originalCreateCollection(items, options);
 
     // Add toggleAll method
     collection.toggleAll = function(predicate, field = 'done') {
@@ -21,86 +21,26 @@
   }
 
   // ============================================================================
-  // STEP 2: Global Effect Registry
+  // STEP 2: Effect Disposal (delegates to the core tracking model)
   // ============================================================================
-  
-  const effectRegistry = new WeakMap(); // effect -> { states: Set, disposed: boolean }
-  const stateRegistry = new WeakMap(); // state -> { effects: Map<key, Set<effect>> }
+  // The core effect keeps a back-reference to every dependency it joined and
+  // unsubscribes from all of them on dispose, so no side registry is needed.
 
-  /**
-   * Register an effect with its state dependencies
-   */
-  function registerEffect(effectFn, state, key) {
-    // Initialize effect registry entry
-    if (!effectRegistry.has(effectFn)) {
-      effectRegistry.set(effectFn, {
-        states: new Map(),
-        disposed: false
-      });
-    }
-    
-    const effectData = effectRegistry.get(effectFn);
-    
-    // Track which keys this effect depends on for this state
-    if (!effectData.states.has(state)) {
-      effectData.states.set(state, new Set());
-    }
-    effectData.states.get(state).add(key);
-    
-    // Initialize state registry entry
-    if (!stateRegistry.has(state)) {
-      stateRegistry.set(state, {
-        effects: new Map()
-      });
-    }
-    
-    const stateData = stateRegistry.get(state);
-    
-    // Add effect to this state's key
-    if (!stateData.effects.has(key)) {
-      stateData.effects.set(key, new Set());
-    }
-    stateData.effects.get(key).add(effectFn);
-  }
+  const { __stop: stopEffect, __deps: getStateDeps } = global.ReactiveUtils;
 
   /**
-   * Unregister an effect from all its dependencies
+   * Resolve the core runner behind an effect or its dispose function
    */
-  function unregisterEffect(effectFn) {
-    const effectData = effectRegistry.get(effectFn);
-    if (!effectData) return;
-    
-    // Mark as disposed
-    effectData.disposed = true;
-    
-    // Remove this effect from all states it was tracking
-    effectData.states.forEach((keys, state) => {
-      const stateData = stateRegistry.get(state);
-      if (!stateData) return;
-      
-      keys.forEach(key => {
-        const effectSet = stateData.effects.get(key);
-        if (effectSet) {
-          effectSet.delete(effectFn);
-          
-          // Clean up empty sets
-          if (effectSet.size === 0) {
-            stateData.effects.delete(key);
-          }
-        }
-      });
-    });
-    
-    // Clear effect's state tracking
-    effectData.states.clear();
+  function resolveRunner(effectFn) {
+    return (effectFn && effectFn.effect) || effectFn;
   }
 
   /**
    * Check if an effect is disposed
    */
   function isEffectDisposed(effectFn) {
-    const effectData = effectRegistry.get(effectFn);
-    return effectData ? effectData.disposed : false;
+    const runner = resolveRunner(effectFn);
+    return !!runner && runner.active === false;
   }
 
   // ============================================================================
@@ -110,61 +50,18 @@
   const originalEffect = global.ReactiveUtils.effect;
   
   /**
-   * Enhanced effect with proper cleanup
+   * Enhanced effect with error isolation
+   * Options (lazy, scheduler, debounce, ...) are passed on to the core effect
    */
-  function enhancedEffect(fn) {
-    let isDisposed = false;
-    const trackedStates = new Map();
-    
-    const execute = () => {
-      if (isDisposed) return;
-      
-      // Clear previous tracking
-      trackedStates.forEach((keys, state) => {
-        keys.forEach(key => {
-          const stateData = stateRegistry.get(state);
-          if (stateData && stateData.effects.has(key)) {
-            stateData.effects.get(key).delete(execute);
-          }
-        });
-      });
-      trackedStates.clear();
-      
-      // Run the effect with tracking
-      const prevEffect = global.ReactiveUtils.__currentEffect;
-      global.ReactiveUtils.__currentEffect = {
-        fn: execute,
-        isComputed: false,
-        onDep: (state, key) => {
-          if (!trackedStates.has(state)) {
-            trackedStates.set(state, new Set());
-          }
-          trackedStates.get(state).add(key);
-          registerEffect(execute, state, key);
-        }
-      };
-      
+  function enhancedEffect(fn, options) {
+    return originalEffect(() => {
       try {
-        fn();
+        return fn();
       } catch (error) {
-        console.error('[Cleanup] Effect error:', error);
-      } finally {
-        global.ReactiveUtils.__currentEffect = prevEffect;
+        const name = options && options.name;
+        console.error(name ? `[Cleanup] Error in effect "${name}":` : '[Cleanup] Effect error:', error);
       }
-    };
-    
-    // Create disposal function
-    const dispose = () => {
-      if (isDisposed) return;
-      isDisposed = true;
-      unregisterEffect(execute);
-      trackedStates.clear();
-    };
-    
-    // Run initially
-    execute();
-    
-    return dispose;
+    }, options);
   }
 
   // ============================================================================
@@ -176,8 +73,8 @@
   /**
    * Enhanced reactive state creation with cleanup support
    */
-  function enhancedCreateReactive(target) {
-    const state = originalCreateReactive(target);
+  function enhancedCreateReactive(target, options) {
+    const state = originalCreateReactive(target, options);
     
     // Patch the state to use cleanup registry
     patchStateTracking(state);
@@ -204,40 +101,8 @@
     });
     
     // Store original methods
-    const originalWatch = state.$watch;
     const originalComputed = state.$computed;
     
-    // ========================================================================
-    // FIXED: Enhanced $watch with proper property override
-    // ========================================================================
-    if (originalWatch) {
-      Object.defineProperty(state, '$watch', {
-        value: function(keyOrFn, callback) {
-          const cleanup = enhancedEffect(() => {
-            let oldValue;
-            if (typeof keyOrFn === 'function') {
-              const newValue = keyOrFn.call(this);
-              if (newValue !== oldValue) {
-                callback(newValue, oldValue);
-                oldValue = newValue;
-              }
-            } else {
-              const newValue = this[keyOrFn];
-              if (newValue !== oldValue) {
-                callback(newValue, oldValue);
-                oldValue = newValue;
-              }
-            }
-          });
-          
-          return cleanup;
-        },
-        writable: true,
-        enumerable: false,
-        configurable: true
-      });
-    }
-    
     // Track computed properties for cleanup
     if (!state.__computedCleanups) {
       Object.defineProperty(state, '__computedCleanups', {
@@ -291,16 +156,14 @@
             this.__computedCleanups.clear();
           }
           
-          // Remove all effects tracking this state
-          const stateData = stateRegistry.get(this);
-          if (stateData) {
-            stateData.effects.forEach((effectSet) => {
-              effectSet.forEach(effect => {
-                unregisterEffect(effect);
+          // Dispose all effects tracking this state
+          const deps = getStateDeps(this);
+          if (deps) {
+            deps.forEach((effectSet) => {
+              Array.from(effectSet).forEach(effect => {
+                if (!effect.isComputed) stopEffect(effect);
               });
-              effectSet.clear();
             });
-            stateData.effects.clear();
           }
         },
         writable: true,
@@ -318,9 +181,6 @@
   global.ReactiveUtils.state = enhancedCreateReactive;
   global.ReactiveUtils.effect = enhancedEffect;
   
-  // Expose __currentEffect for tracking
-  global.ReactiveUtils.__currentEffect = null;
-  
   // Patch createState if it exists
   if (global.ReactiveUtils.createState) {
     const originalCreateState = global.ReactiveUtils.createState;
@@ -475,13 +335,24 @@
     
     /**
      * Create a cleanup scope
+     * Effects, watchers, computeds and bindings created inside fn are
+     * stopped with it, along with cleanups passed to the register callback
      */
     scope(fn) {
       const collector = this.collector();
+      const effects = global.ReactiveUtils.effectScope ? global.ReactiveUtils.effectScope() : null;
+      const register = (cleanup) => collector.add(cleanup);
       
-      fn((cleanup) => collector.add(cleanup));
+      if (effects) {
+        effects.run(() => fn(register));
+      } else {
+        fn(register);
+      }
       
-      return () => collector.cleanup();
+      return () => {
+        collector.cleanup();
+        if (effects) effects.stop();
+      };
     },
     
     /**
@@ -26,7 +26,9 @@
   // Why: Prevents race conditions and ensures consistent state updates
   // What: Priority-based queue with cycle detection
   
-  const PRIORITY = {
+  // The core flush uses the same ranks, so effect(fn, { priority: PRIORITY.WATCH })
+  // re-runs alongside the watchers
+  const PRIORITY = global.ReactiveUtils.PRIORITY || {
     COMPUTED: 1,    // Run computed properties first
     WATCH: 2,       // Then run watchers
     EFFECT: 3       // Finally run effects
@@ -99,324 +101,104 @@
   }
 
   /**
-   * Enhanced batch function with better control
-   */
-  function enhancedBatch(fn) {
-    const originalBatch = global.ReactiveUtils.batch;
-    return originalBatch(fn);
-  }
-
-  // ============================================================================
-  // PART 2: DEEP REACTIVITY FOR COLLECTIONS
-  // ============================================================================
-  // Why: Arrays, Maps, and Sets need special handling
-  // What: Intercept collection methods to trigger reactivity
-  
-  const RAW = Symbol('raw');
-  const IS_REACTIVE = Symbol('reactive');
-
-  /**
-   * Create reactive Map with proper change tracking
+   * Resolve once the microtask queue above has drained, including any
+   * rounds that a flush schedules
    */
-  function createReactiveMap(target, parent, key) {
-    const instrumentations = {
-      get size() {
-        const raw = target;
-        // Track the size property
-        if (parent && key) {
-          triggerUpdate(parent, key);
-        }
-        return raw.size;
-      },
-      
-      get(key) {
-        const result = target.get(key);
-        return result;
-      },
-      
-      set(key, value) {
-        const hadKey = target.has(key);
-        const result = target.set(key, value);
-        
-        // Trigger update on parent
-        if (parent && key) {
-          triggerUpdate(parent, key);
-        }
-        
-        return result;
-      },
-      
-      has(key) {
-        return target.has(key);
-      },
-      
-      delete(key) {
-        const hadKey = target.has(key);
-        const result = target.delete(key);
-        
-        if (hadKey && parent && key) {
-          triggerUpdate(parent, key);
+  function whenQueueDrained() {
+    return new Promise(resolve => {
+      const check = () => {
+        if (isFlushPending || updateQueue.size > 0) {
+          queueMicrotask(check);
+        } else {
+          resolve();
         }
-        
-        return result;
-      },
-      
-      clear() {
-        const hadItems = target.size > 0;
-        const result = target.clear();
-        
-        if (hadItems && parent && key) {
-          triggerUpdate(parent, key);
-        }
-        
-        return result;
-      },
-      
-      forEach(callback, thisArg) {
-        target.forEach((value, key) => {
-          callback.call(thisArg, value, key, this);
-        }, thisArg);
-      },
-      
-      keys() {
-        return target.keys();
-      },
-      
-      values() {
-        return target.values();
-      },
-      
-      entries() {
-        return target.entries();
-      },
-      
-      [Symbol.iterator]() {
-        return target.entries();
-      }
-    };
-    
-    return new Proxy(target, {
-      get(t, prop) {
-        if (prop === RAW) return target;
-        if (prop === IS_REACTIVE) return true;
-        if (instrumentations.hasOwnProperty(prop)) {
-          return instrumentations[prop];
-        }
-        return Reflect.get(t, prop);
-      }
+      };
+      queueMicrotask(check);
     });
   }
 
   /**
-   * Create reactive Set with proper change tracking
+   * nextTick that also waits for the priority queue
    */
-  function createReactiveSet(target, parent, key) {
-    const instrumentations = {
-      get size() {
-        const raw = target;
-        if (parent && key) {
-          triggerUpdate(parent, key);
-        }
-        return raw.size;
-      },
-      
-      has(value) {
-        return target.has(value);
-      },
-      
-      add(value) {
-        const hadValue = target.has(value);
-        const result = target.add(value);
-        
-        if (!hadValue && parent && key) {
-          triggerUpdate(parent, key);
-        }
-        
-        return result;
-      },
-      
-      delete(value) {
-        const hadValue = target.has(value);
-        const result = target.delete(value);
-        
-        if (hadValue && parent && key) {
-          triggerUpdate(parent, key);
-        }
-        
-        return result;
-      },
-      
-      clear() {
-        const hadItems = target.size > 0;
-        const result = target.clear();
-        
-        if (hadItems && parent && key) {
-          triggerUpdate(parent, key);
-        }
-        
-        return result;
-      },
-      
-      forEach(callback, thisArg) {
-        target.forEach((value) => {
-          callback.call(thisArg, value, value, this);
-        }, thisArg);
-      },
-      
-      keys() {
-        return target.values();
-      },
-      
-      values() {
-        return target.values();
-      },
-      
-      entries() {
-        return target.entries();
-      },
-      
-      [Symbol.iterator]() {
-        return target.values();
-      }
-    };
-    
-    return new Proxy(target, {
-      get(t, prop) {
-        if (prop === RAW) return target;
-        if (prop === IS_REACTIVE) return true;
-        if (instrumentations.hasOwnProperty(prop)) {
-          return instrumentations[prop];
-        }
-        return Reflect.get(t, prop);
-      }
-    });
-  }
+  const originalNextTick = global.ReactiveUtils.nextTick;
 
-  /**
-   * Helper to trigger updates on parent state
-   */
-  function triggerUpdate(state, key) {
-    if (state && state.$notify) {
-      state.$notify(key);
-    }
+  function enhancedNextTick(fn) {
+    return whenQueueDrained().then(() => originalNextTick(fn));
   }
 
   /**
-   * Enhance state creation to handle collections
+   * Enhanced batch function with better control
    */
-  function enhanceCollectionSupport() {
-    const originalState = global.ReactiveUtils.state;
-    
-    global.ReactiveUtils.state = function(target) {
-      // First create the reactive state
-      const state = originalState(target);
-      
-      // Then enhance any Map or Set properties
-      Object.keys(target).forEach(key => {
-        const value = target[key];
-        
-        if (value instanceof Map) {
-          state[key] = createReactiveMap(value, state, key);
-        } else if (value instanceof Set) {
-          state[key] = createReactiveSet(value, state, key);
-        }
-      });
-      
-      return state;
-    };
+  function enhancedBatch(fn) {
+    const originalBatch = global.ReactiveUtils.batch;
+    return originalBatch(fn);
   }
 
+  // ============================================================================
+  // PART 2: DEEP REACTIVITY FOR COLLECTIONS
+  // ============================================================================
+  // Map and Set values are instrumented by the core proxy in 01_dh-reactive.js
+  // (per-key tracking for get/has, size and iteration tracking), so nothing
+  // needs to be patched here any more.
+
   // ============================================================================
   // PART 3: ENHANCED COMPUTED PROPERTIES
   // ============================================================================
-  // Why: Computed properties should cache and only recalculate when needed
-  // What: Smart caching with dependency tracking and cycle detection
+  // Why: A computed that (indirectly) reads itself would recurse forever
+  // What: Cycle detection on top of the core's cached, dependency-tracked computeds
   
   const computedStack = [];
-  const computedCache = new WeakMap(); // state -> Map of computed values
 
   /**
-   * Get or create computed cache for a state
+   * Wrap a computed getter so re-entering it reports the dependency chain
    */
-  function getComputedCache(state) {
-    if (!computedCache.has(state)) {
-      computedCache.set(state, new Map());
-    }
-    return computedCache.get(state);
+  function withCycleDetection(key, getter) {
+    const computedMeta = { key, computing: false };
+    
+    return function() {
+      if (computedMeta.computing) {
+        const chain = computedStack.map(c => c.key).join(' → ');
+        throw new Error(
+          `[Enhancements] Circular dependency: ${chain} → ${key}`
+        );
+      }
+      
+      computedMeta.computing = true;
+      computedStack.push(computedMeta);
+      
+      try {
+        return getter.call(this);
+      } catch (error) {
+        console.error(`[Enhancements] Error in computed "${key}":`, error);
+        throw error;
+      } finally {
+        computedMeta.computing = false;
+        computedStack.pop();
+      }
+    };
   }
 
   /**
-   * Enhanced computed that caches across effects in the same tick
+   * Enhanced $computed with cycle detection
    */
   function enhanceComputed() {
     const originalState = global.ReactiveUtils.state;
     
-    global.ReactiveUtils.state = function(target) {
-      const state = originalState(target);
+    global.ReactiveUtils.state = function(target, options) {
+      const state = originalState(target, options);
       
       // Store original $computed method
       const original$Computed = state.$computed;
       
       // Replace with enhanced version
-      state.$computed = function(key, fn) {
-        const cache = getComputedCache(this);
-        
-        // Track cycle detection
-        const computedMeta = {
-          key,
-          fn,
-          computing: false,
-          value: undefined,
-          dirty: true,
-          tick: 0
-        };
-        
-        cache.set(key, computedMeta);
-        
-        // Create the computed property
-        Object.defineProperty(this, key, {
-          get() {
-            // Cycle detection
-            if (computedMeta.computing) {
-              const chain = computedStack.map(c => c.key).join(' → ');
-              throw new Error(
-                `[Enhancements] Circular dependency: ${chain} → ${key}`
-              );
-            }
-            
-            // Check if we need to recompute
-            const currentTick = flushCount;
-            if (computedMeta.dirty || computedMeta.tick !== currentTick) {
-              computedMeta.computing = true;
-              computedStack.push(computedMeta);
-              
-              try {
-                computedMeta.value = fn.call(this);
-                computedMeta.dirty = false;
-                computedMeta.tick = currentTick;
-              } catch (error) {
-                console.error(`[Enhancements] Error in computed "${key}":`, error);
-                throw error;
-              } finally {
-                computedMeta.computing = false;
-                computedStack.pop();
-              }
-            }
-            
-            return computedMeta.value;
-          },
-          
-          set() {
-            console.warn(
-              `[Enhancements] Cannot set computed property "${key}". ` +
-              `Computed properties are read-only.`
-            );
-          },
-          
-          enumerable: true,
-          configurable: true
-        });
+      state.$computed = function(key, fnOrDef) {
+        // Accept a getter or a { get, set } pair
+        const wrap = (fn) => typeof fn === 'function' ? withCycleDetection(key, fn) : fn;
+        const def = fnOrDef && typeof fnOrDef === 'object'
+          ? { ...fnOrDef, get: wrap(fnOrDef.get) }
+          : wrap(fnOrDef);
         
+        original$Computed.call(this, key, def);
         return this;
       };
       
@@ -485,23 +267,28 @@
 
   /**
    * Create effect with error boundary
+   * Other options (lazy, scheduler, priority, name, ...) are passed on to effect
    */
   function safeEffect(fn, options = {}) {
-    const boundary = new ErrorBoundary(options.errorBoundary || {});
+    const { errorBoundary, ...effectOptions } = options;
+    const boundary = new ErrorBoundary(errorBoundary || {});
     
     const wrappedFn = boundary.wrap(fn, {
       type: 'effect',
+      name: effectOptions.name,
       created: Date.now()
     });
     
-    return global.effect(wrappedFn);
+    return global.effect(wrappedFn, effectOptions);
   }
 
   /**
    * Create watch with error boundary
+   * Other options (immediate, deep, equals, flush) are passed on to $watch
    */
   function safeWatch(state, keyOrFn, callback, options = {}) {
-    const boundary = new ErrorBoundary(options.errorBoundary || {});
+    const { errorBoundary, ...watchOptions } = options;
+    const boundary = new ErrorBoundary(errorBoundary || {});
     
     const wrappedCallback = boundary.wrap(callback, {
       type: 'watch',
@@ -509,7 +296,7 @@
       created: Date.now()
     });
     
-    return state.$watch(keyOrFn, wrappedCallback);
+    return state.$watch(keyOrFn, wrappedCallback, watchOptions);
   }
 
   // ============================================================================
@@ -730,6 +517,13 @@
         created: Date.now(),
         updates: []
       });
+      
+      // Log every write to the state tree
+      if (typeof state.$subscribe === 'function') {
+        state.$subscribe(mutation => {
+          this.logChange(state, mutation.path.join('.'), mutation.oldValue, mutation.value);
+        });
+      }
     },
     
     trackEffect(effect, name) {
@@ -797,9 +591,6 @@
   // APPLY ALL ENHANCEMENTS
   // ============================================================================
   
-  // Apply collection support
-  enhanceCollectionSupport();
-  
   // Apply computed enhancements
   enhanceComputed();
 
@@ -811,6 +602,7 @@
     // Batching
     batch: enhancedBatch,
     queueUpdate,
+    nextTick: enhancedNextTick,
     
     // Error handling
     safeEffect,
@@ -833,6 +625,7 @@
   
   // Add to ReactiveUtils
   if (global.ReactiveUtils) {
+    global.ReactiveUtils.nextTick = enhancedNextTick;
     global.ReactiveUtils.safeEffect = safeEffect;
     global.ReactiveUtils.safeWatch = safeWatch;
     global.ReactiveUtils.asyncEffect = asyncEffect;
@@ -20,7 +20,7 @@
     return;
   }
 
-  const { effect, batch } = global.ReactiveUtils;
+  const { effect, batch, isSignal, rateLimit } = global.ReactiveUtils;
 
   // ============================================================================
   // BUILT-IN STORAGE WRAPPER (replaces dh-storage.js)
@@ -204,6 +204,7 @@
       storage = 'localStorage',
       namespace = '',
       debounce = 0,
+      maxWait = null,
       autoLoad = true,
       autoSave: autoSaveEnabled = true,
       sync = false,
@@ -211,7 +212,8 @@
       onSave = null,
       onLoad = null,
       onSync = null,
-      onError = null
+      onError = null,
+      schema = null
     } = options;
 
     // Check availability
@@ -233,6 +235,9 @@
 
     function getValue(obj) {
       try {
+        if (isSignal(obj)) {
+          return obj.get(); // Signal
+        }
         if (obj.value !== undefined && typeof obj.valueOf === 'function') {
           return obj.value; // Ref
         }
@@ -253,10 +258,26 @@
       }
     }
 
+    // Data from storage is checked against `schema` before it is applied
+    function isValidData(value, stage) {
+      if (!schema || typeof global.ReactiveUtils.validate !== 'function') return true;
+      const errors = global.ReactiveUtils.validate(value, schema);
+      if (errors.length === 0) return true;
+
+      const error = new Error(`[autoSave] Stored data for "${key}" does not match the schema: ` +
+        errors.map(e => e.message).join('; '));
+      error.errors = errors;
+      console.warn(error.message);
+      if (onError) onError(error, stage);
+      return false;
+    }
+
     function setValue(obj, value) {
       if (!value) return;
       try {
-        if (obj.value !== undefined && typeof obj.valueOf === 'function') {
+        if (isSignal(obj)) {
+          if (typeof obj.set === 'function') obj.set(value); // Derived signals are read-only
+        } else if (obj.value !== undefined && typeof obj.valueOf === 'function') {
           obj.value = value;
         } else if (obj.items !== undefined) {
           obj.reset ? obj.reset(value) : (obj.items = value);
@@ -282,7 +303,9 @@
         const loaded = store.get(key);
         if (loaded !== null) {
           const processed = onLoad ? onLoad(loaded) : loaded;
-          setValue(reactiveObj, processed);
+          if (isValidData(processed, 'schema')) {
+            setValue(reactiveObj, processed);
+          }
         }
       } catch (error) {
         console.error('[autoSave] Load error:', error);
@@ -294,79 +317,69 @@
     // SAVE (PRODUCTION HARDENED)
     // ========================================================================
 
-    let saveTimeout;
     let effectCleanup;
     let isUpdatingFromStorage = false;
-    let lastSaveTime = 0;
     const MIN_SAVE_INTERVAL = 100; // Minimum 100ms between saves
     const LARGE_ITEM_WARNING = 100 * 1024; // 100KB
     const MAX_STORAGE_WARNING = 5 * 1024 * 1024; // 5MB
 
-    function save() {
-      if (isUpdatingFromStorage) return;
-      
-      // Prevent excessive saves
-      const now = Date.now();
-      if (now - lastSaveTime < MIN_SAVE_INTERVAL) {
-        return;
-      }
-      lastSaveTime = now;
-      
-      if (saveTimeout) clearTimeout(saveTimeout);
-
-      const doSave = () => {
-        try {
-          let valueToSave = getValue(reactiveObj);
-          if (valueToSave === null) return;
+    const doSave = () => {
+      try {
+        let valueToSave = getValue(reactiveObj);
+        if (valueToSave === null) return;
 
-          if (onSave) {
-            valueToSave = onSave(valueToSave);
-          }
+        if (onSave) {
+          valueToSave = onSave(valueToSave);
+        }
 
-          // Validate serializability and check size
-          const serialized = safeStringify(valueToSave);
-          const size = serialized.length;
-          
-          // Warn about large data
-          if (size > LARGE_ITEM_WARNING) {
-            console.warn(`[autoSave] Large data detected (${Math.round(size / 1024)}KB) for key "${key}"`);
-          }
+        // Validate serializability and check size
+        const serialized = safeStringify(valueToSave);
+        const size = serialized.length;
+        
+        // Warn about large data
+        if (size > LARGE_ITEM_WARNING) {
+          console.warn(`[autoSave] Large data detected (${Math.round(size / 1024)}KB) for key "${key}"`);
+        }
 
-          // Check total storage size
-          if (typeof global[storage] !== 'undefined') {
-            let totalSize = 0;
-            try {
-              for (let i = 0; i < global[storage].length; i++) {
-                const k = global[storage].key(i);
-                if (k) {
-                  totalSize += (global[storage].getItem(k) || '').length + k.length;
-                }
-              }
-              if (totalSize > MAX_STORAGE_WARNING) {
-                console.warn(`[autoSave] Storage size: ${Math.round(totalSize / 1024 / 1024)}MB`);
+        // Check total storage size
+        if (typeof global[storage] !== 'undefined') {
+          let totalSize = 0;
+          try {
+            for (let i = 0; i < global[storage].length; i++) {
+              const k = global[storage].key(i);
+              if (k) {
+                totalSize += (global[storage].getItem(k) || '').length + k.length;
               }
-            } catch (e) {
-              // Ignore size check errors
             }
-          }
-
-          store.set(key, valueToSave, { expires });
-        } catch (error) {
-          if (error.name === 'QuotaExceededError') {
-            console.error('[autoSave] Storage quota exceeded');
-            if (onError) onError(new Error('Storage quota exceeded. Consider clearing old data.'), 'quota');
-          } else {
-            console.error('[autoSave] Save error:', error);
-            if (onError) onError(error, 'save');
+            if (totalSize > MAX_STORAGE_WARNING) {
+              console.warn(`[autoSave] Storage size: ${Math.round(totalSize / 1024 / 1024)}MB`);
+            }
+          } catch (e) {
+            // Ignore size check errors
           }
         }
-      };
 
-      if (debounce > 0) {
-        saveTimeout = setTimeout(doSave, debounce);
-      } else {
-        doSave();
+        store.set(key, valueToSave, { expires });
+      } catch (error) {
+        if (error.name === 'QuotaExceededError') {
+          console.error('[autoSave] Storage quota exceeded');
+          if (onError) onError(new Error('Storage quota exceeded. Consider clearing old data.'), 'quota');
+        } else {
+          console.error('[autoSave] Save error:', error);
+          if (onError) onError(error, 'save');
+        }
       }
+    };
+
+    // Bursts of changes collapse into one save: after `debounce` ms of quiet,
+    // or at most one save per MIN_SAVE_INTERVAL with the last change kept
+    const scheduleSave = rateLimit(doSave, debounce > 0
+      ? { debounce, maxWait }
+      : { throttle: MIN_SAVE_INTERVAL });
+
+    function save() {
+      if (isUpdatingFromStorage) return;
+      scheduleSave();
     }
 
     if (autoSaveEnabled) {
@@ -395,6 +408,7 @@
 
           const data = JSON.parse(event.newValue);
           const newValue = data.value !== undefined ? data.value : data;
+          if (!isValidData(newValue, 'schema')) return;
 
           syncLock = true; // Lock to prevent loops
           isUpdatingFromStorage = true;
@@ -424,20 +438,8 @@
 
     if (typeof window !== 'undefined' && autoSaveEnabled) {
       const handleUnload = () => {
-        if (saveTimeout) {
-          clearTimeout(saveTimeout);
-          try {
-            let valueToSave = getValue(reactiveObj);
-            if (valueToSave && onSave) {
-              valueToSave = onSave(valueToSave);
-            }
-            if (valueToSave) {
-              store.set(key, valueToSave, { expires });
-            }
-          } catch (error) {
-            // Silent on unload
-          }
-        }
+        // Write a save that is still waiting
+        scheduleSave.flush();
       };
 
       window.addEventListener('beforeunload', handleUnload);
@@ -449,7 +451,7 @@
     // ========================================================================
 
     reactiveObj.$save = function() {
-      if (saveTimeout) clearTimeout(saveTimeout);
+      scheduleSave.cancel();
       try {
         let valueToSave = getValue(this);
         if (valueToSave && onSave) {
@@ -471,6 +473,7 @@
         const loaded = store.get(key);
         if (loaded !== null) {
           const processed = onLoad ? onLoad(loaded) : loaded;
+          if (!isValidData(processed, 'schema')) return false;
           isUpdatingFromStorage = true;
           setValue(this, processed);
           isUpdatingFromStorage = false;
@@ -514,7 +517,7 @@
       if (effectCleanup) effectCleanup();
       if (storageEventCleanup) storageEventCleanup();
       if (unloadCleanup) unloadCleanup();
-      if (saveTimeout) clearTimeout(saveTimeout);
+      scheduleSave.cancel();
     };
 
     reactiveObj.$storageInfo = function() {
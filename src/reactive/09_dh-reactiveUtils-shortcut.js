@@ -43,6 +43,8 @@
   /**
    * Create reactive effect
    * @example effect(() => console.log(state.count));
+   * @example effect(() => resize(state.width), { throttle: 100 });
+   * @example effect(() => render(state), { name: 'render', onTrigger: (e) => console.log(e.key, e.type) });
    */
   global.effect = ReactiveUtils.effect;
 
@@ -52,6 +54,13 @@
    */
   global.batch = ReactiveUtils.batch;
 
+  /**
+   * Run updates that are rolled back if they throw or reject
+   * @example transaction(() => { state.a = 1; state.b = 2; });
+   * @example transaction(async () => { state.a = 1; await save(); state.b = 2; }, { states: state });
+   */
+  global.transaction = ReactiveUtils.transaction;
+
   // ============================================================
   // COMPUTED & WATCH
   // ============================================================
@@ -65,15 +74,40 @@
   /**
    * Watch state changes
    * @example watch(state, { count: (newVal, oldVal) => console.log(newVal) });
+   * @example watch(state, 'items.*.done', (newVal, oldVal, path) => console.log(path, newVal));
    */
   global.watch = ReactiveUtils.watch;
 
+  /**
+   * Watch with a debounced callback
+   * @example watchDebounced(state, 'query', (q) => search(q), { debounce: 300, maxWait: 1000 });
+   */
+  global.watchDebounced = ReactiveUtils.watchDebounced;
+
+  /**
+   * Watch with a throttled callback
+   * @example watchThrottled(state, 'scrollY', (y) => updateHeader(y), 100);
+   */
+  global.watchThrottled = ReactiveUtils.watchThrottled;
+
   /**
    * Multiple effects
    * @example effects({ log: () => console.log(state.count) });
    */
   global.effects = ReactiveUtils.effects;
 
+  /**
+   * Group effects, watchers and computeds so they stop together
+   * @example const scope = effectScope(); scope.run(() => effect(() => render(state))); scope.stop();
+   */
+  global.effectScope = ReactiveUtils.effectScope;
+
+  /**
+   * Run a callback when the current effect scope stops
+   * @example scope.run(() => { const id = setInterval(tick, 1000); onScopeDispose(() => clearInterval(id)); });
+   */
+  global.onScopeDispose = ReactiveUtils.onScopeDispose;
+
   // ============================================================
   // ENHANCED EFFECTS (Module 06)
   // ============================================================
@@ -102,6 +136,12 @@
     global.asyncEffect = ReactiveUtils.asyncEffect;
   }
 
+  /**
+   * Derive a value asynchronously, with pending and error status
+   * @example computedAsync(state, 'results', async (signal) => search(state.query, signal), { debounce: 300 });
+   */
+  global.computedAsync = ReactiveUtils.computedAsync;
+
   // ============================================================
   // REFS & COLLECTIONS
   // ============================================================
@@ -118,6 +158,24 @@
    */
   global.refs = ReactiveUtils.refs;
 
+  /**
+   * Create a lightweight signal
+   * @example const x = signal(0); x.set(x.get() + 1);
+   */
+  global.signal = ReactiveUtils.signal;
+
+  /**
+   * Create a cached value derived from signals or state
+   * @example const double = derived(() => x.get() * 2);
+   */
+  global.derived = ReactiveUtils.derived;
+
+  /**
+   * Check if value is a signal or derived signal
+   * @example if (isSignal(x)) { ... }
+   */
+  global.isSignal = ReactiveUtils.isSignal;
+
   /**
    * Create reactive collection
    * @example const items = collection([1, 2, 3]);
@@ -135,7 +193,7 @@
   // ============================================================
 
   /**
-   * Manually patch array for reactivity
+   * Kept for existing code: arrays are reactive without patching
    * @example patchArray(state, 'items');
    */
   global.patchArray = ReactiveUtils.patchArray || global.patchReactiveArray;
@@ -176,6 +234,18 @@
    */
   global.store = ReactiveUtils.store;
 
+  /**
+   * Define a store that is created on first use and looked up by id
+   * @example const useCart = defineStore('cart', { state: () => ({ items: [] }), actions: {...} });
+   */
+  global.defineStore = ReactiveUtils.defineStore;
+
+  /**
+   * Combine stores into one root with namespaced actions
+   * @example const root = combineStores({ cart: useCart(), user: useUser() }); root.dispatch('cart/add', item);
+   */
+  global.combineStores = ReactiveUtils.combineStores;
+
   /**
    * Create reactive component
    * @example const myComponent = component({ state: {...}, computed: {...} });
@@ -240,6 +310,36 @@
    */
   global.toRaw = ReactiveUtils.toRaw;
 
+  /**
+   * Create state that only tracks its top-level keys
+   * @example const api = shallow({ payload: bigResponse });
+   */
+  global.shallow = ReactiveUtils.shallow;
+
+  /**
+   * Create a readonly view of state (reads stay tracked)
+   * @example const view = readonly(state);
+   */
+  global.readonly = ReactiveUtils.readonly;
+
+  /**
+   * Mark an object so it is never made reactive
+   * @example state({ chart: markRaw(new Chart()) });
+   */
+  global.markRaw = ReactiveUtils.markRaw;
+
+  /**
+   * Check if value is a readonly view
+   * @example if (isReadonly(view)) { ... }
+   */
+  global.isReadonly = ReactiveUtils.isReadonly;
+
+  /**
+   * Check if value is shallow state
+   * @example if (isShallow(api)) { ... }
+   */
+  global.isShallow = ReactiveUtils.isShallow;
+
   /**
    * Manually notify changes
    * @example notify(state, 'count');
@@ -264,6 +364,12 @@
    */
   global.untrack = ReactiveUtils.untrack;
 
+  /**
+   * Wait until queued updates have run
+   * @example state.count++; await nextTick(); measure(el);
+   */
+  global.nextTick = ReactiveUtils.nextTick;
+
   // ============================================================
   // CLEANUP SYSTEM (Module 05)
   // ============================================================
@@ -350,8 +456,8 @@
 
   if (global.Collections) {
     /**
-     * Create collection with computed
-     * @example const items = createCollection([1, 2, 3], { total: function() { ... } });
+     * Create collection, optionally with computeds on each item
+     * @example const cart = createCollection(lines, { itemComputed: { total() { return this.qty * this.price; } } });
      */
     global.createCollection = global.Collections.create || global.Collections.collection;
 
@@ -0,0 +1,232 @@
+/**
+ * 10_dh-reactive-history
+ *
+ * Undo / Redo History for DOM Helpers Reactive State
+ * Records writes made through a state proxy (nested objects, arrays, Map and Set included)
+ * Load this AFTER 01_dh-reactive.js
+ * @license MIT
+ */
+
+(function(global) {
+  'use strict';
+
+  // Check if ReactiveUtils exists
+  if (!global.ReactiveUtils || !global.ReactiveUtils.__observe) {
+    console.error('[History] ReactiveUtils not found. Please load the reactive library first.');
+    return;
+  }
+
+  const { batch, isReactive } = global.ReactiveUtils;
+  const observe = global.ReactiveUtils.__observe;
+  const revert = global.ReactiveUtils.__revert;
+  const replay = global.ReactiveUtils.__replay;
+
+  // ============================================================================
+  // HELPERS
+  // ============================================================================
+
+  /**
+   * Check a mutation path against the `paths` option
+   */
+  function matchesPaths(path, paths) {
+    if (!paths) return true;
+    const joined = path.map(String).join('.');
+    return paths.some(p => joined === p || joined.startsWith(p + '.') || p.startsWith(joined + '.'));
+  }
+
+  // ============================================================================
+  // HISTORY
+  // ============================================================================
+
+  /**
+   * Create an undo / redo history for reactive state
+   * @param {Object} state - Reactive state (state(), store(), ...)
+   * @param {Object} options - { capacity, debounce, paths }
+   *   capacity: entries kept (default 100)
+   *   debounce: ms within which separate writes merge into one entry (default 0)
+   *   paths: only record writes at or below these dot paths, e.g. ['doc', 'form.values']
+   * @returns {Object} History controller
+   */
+  function createHistory(state, options = {}) {
+    if (!isReactive(state)) {
+      throw new Error('[History] First argument must be reactive state');
+    }
+
+    const {
+      capacity = 100,
+      debounce = 0,
+      paths = null
+    } = options;
+
+    const pathList = paths ? [].concat(paths) : null;
+    const undoStack = [];
+    const redoStack = [];
+    const checkpoints = new Map(); // name -> entry id (0 = before the first entry)
+    const flags = global.ReactiveUtils.state({ canUndo: false, canRedo: false });
+
+    let nextId = 1;
+    let trimmed = false;
+    let applying = false;
+    let lastEntry = null; // Entry still open for writes of the same group / debounce window
+    let lastTime = 0;
+
+    function sync() {
+      batch(() => {
+        flags.canUndo = undoStack.length > 0;
+        flags.canRedo = redoStack.length > 0;
+      });
+    }
+
+    function record(mutation) {
+      if (applying) return;
+      if (typeof mutation.value === 'function' || typeof mutation.oldValue === 'function') return;
+      if (!matchesPaths(mutation.path, pathList)) return;
+
+      const now = Date.now();
+      const sameGroup = lastEntry && lastEntry.group === mutation.group;
+      const withinDebounce = lastEntry && debounce > 0 && now - lastTime < debounce;
+
+      if (sameGroup || withinDebounce) {
+        lastEntry.mutations.push(mutation);
+        lastEntry.group = mutation.group;
+      } else {
+        lastEntry = { id: nextId++, group: mutation.group, mutations: [mutation] };
+        undoStack.push(lastEntry);
+        if (undoStack.length > capacity) {
+          undoStack.shift();
+          trimmed = true;
+        }
+      }
+      lastTime = now;
+      redoStack.length = 0;
+      sync();
+    }
+
+    let unobserve = observe(state, record);
+
+    function apply(fn) {
+      applying = true;
+      try {
+        batch(fn);
+      } finally {
+        applying = false;
+        lastEntry = null;
+      }
+    }
+
+    const history = {
+      get canUndo() {
+        return flags.canUndo;
+      },
+
+      get canRedo() {
+        return flags.canRedo;
+      },
+
+      get size() {
+        return undoStack.length;
+      },
+
+      /**
+       * Undo the last entry
+       * @returns {boolean} false when there was nothing to undo
+       */
+      undo() {
+        const entry = undoStack.pop();
+        if (!entry) return false;
+        apply(() => {
+          for (let i = entry.mutations.length - 1; i >= 0; i--) revert(entry.mutations[i]);
+        });
+        redoStack.push(entry);
+        sync();
+        return true;
+      },
+
+      /**
+       * Redo the last undone entry
+       * @returns {boolean} false when there was nothing to redo
+       */
+      redo() {
+        const entry = redoStack.pop();
+        if (!entry) return false;
+        apply(() => entry.mutations.forEach(replay));
+        undoStack.push(entry);
+        sync();
+        return true;
+      },
+
+      /**
+       * Name the current position so it can be restored later
+       */
+      checkpoint(name) {
+        const top = undoStack[undoStack.length - 1];
+        checkpoints.set(name, top ? top.id : 0);
+        return this;
+      },
+
+      /**
+       * Undo or redo until the state matches a checkpoint
+       * @returns {boolean} false when the checkpoint is unknown or no longer in the history
+       */
+      restore(name) {
+        if (!checkpoints.has(name)) {
+          console.warn(`[History] Unknown checkpoint "${name}"`);
+          return false;
+        }
+
+        const id = checkpoints.get(name);
+        const topId = () => undoStack.length ? undoStack[undoStack.length - 1].id : 0;
+
+        if (id === 0 ? !trimmed : undoStack.some(e => e.id === id)) {
+          while (topId() !== id) this.undo();
+          return true;
+        }
+        if (redoStack.some(e => e.id === id)) {
+          while (topId() !== id) this.redo();
+          return true;
+        }
+
+        console.warn(`[History] Checkpoint "${name}" is no longer in the history`);
+        return false;
+      },
+
+      /**
+       * Forget all entries and checkpoints
+       */
+      clear() {
+        undoStack.length = 0;
+        redoStack.length = 0;
+        checkpoints.clear();
+        lastEntry = null;
+        trimmed = false;
+        sync();
+        return this;
+      },
+
+      /**
+       * Stop recording (entries are kept)
+       */
+      stop() {
+        if (unobserve) {
+          unobserve();
+          unobserve = null;
+        }
+      }
+    };
+
+    return history;
+  }
+
+  // ============================================================================
+  // EXPORT
+  // ============================================================================
+
+  global.ReactiveUtils.history = createHistory;
+  global.ReactiveUtils.createHistory = createHistory;
+
+  // `history` is taken by window.history, so the global shortcut uses the long name
+  if (typeof global.state !== 'undefined') {
+    global.createHistory = createHistory;
+  }
+
+})(typeof window !== 'undefined' ? window : global);
@@ -0,0 +1,305 @@
+/**
+ * 11_dh-reactive-patch
+ *
+ * JSON Patch (RFC 6902) for DOM Helpers Reactive State
+ * applyPatch() writes through the state proxy, so effects and bindings update;
+ * diff() produces the operations that turn one value into another
+ * Load this AFTER 01_dh-reactive.js
+ * @license MIT
+ */
+
+(function(global) {
+  'use strict';
+
+  // Check if ReactiveUtils exists
+  if (!global.ReactiveUtils || !global.ReactiveUtils.transaction) {
+    console.error('[Patch] ReactiveUtils not found. Please load the reactive library first.');
+    return;
+  }
+
+  const { transaction, toRaw } = global.ReactiveUtils;
+
+  // ============================================================================
+  // JSON POINTER (RFC 6901)
+  // ============================================================================
+
+  function parsePointer(pointer) {
+    if (pointer === '') return [];
+    if (typeof pointer !== 'string' || pointer[0] !== '/') {
+      throw new Error(`[Patch] Invalid JSON Pointer "${pointer}"`);
+    }
+    return pointer.slice(1).split('/').map(t => t.replace(/~1/g, '/').replace(/~0/g, '~'));
+  }
+
+  function toPointer(path) {
+    return path.map(t => '/' + String(t).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+  }
+
+  function isContainer(value) {
+    return value !== null && typeof value === 'object';
+  }
+
+  function isPlainObject(value) {
+    if (!isContainer(value) || Array.isArray(value)) return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+  }
+
+  /**
+   * Resolve the parent of a pointer: { parent, key }
+   * Array keys are numbers; "-" stands for the end of the array
+   */
+  function resolve(root, pointer, op) {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) {
+      throw new Error(`[Patch] "${op}" cannot target the whole document`);
+    }
+
+    let parent = root;
+    for (let i = 0; i < tokens.length - 1; i++) {
+      parent = read(parent, tokens[i], pointer);
+      if (!isContainer(parent)) {
+        throw new Error(`[Patch] Path "${pointer}" does not exist`);
+      }
+    }
+
+    let key = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+      key = key === '-' ? parent.length : arrayIndex(key, pointer);
+    }
+    return { parent, key };
+  }
+
+  function arrayIndex(token, pointer) {
+    if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+      throw new Error(`[Patch] Invalid array index in "${pointer}"`);
+    }
+    return Number(token);
+  }
+
+  function read(parent, token, pointer) {
+    if (parent instanceof Map) return parent.get(token);
+    if (Array.isArray(parent)) return parent[arrayIndex(token, pointer)];
+    return parent[token];
+  }
+
+  function has(parent, key) {
+    if (parent instanceof Map) return parent.has(key);
+    if (Array.isArray(parent)) return key < parent.length;
+    return Object.prototype.hasOwnProperty.call(toRaw(parent), key);
+  }
+
+  function getValue(root, pointer) {
+    const { parent, key } = resolve(root, pointer, 'get');
+    if (!has(parent, key)) throw new Error(`[Patch] Path "${pointer}" does not exist`);
+    return parent instanceof Map ? parent.get(key) : parent[key];
+  }
+
+  function addValue(root, pointer, value) {
+    const { parent, key } = resolve(root, pointer, 'add');
+    if (parent instanceof Map) {
+      parent.set(key, value);
+    } else if (Array.isArray(parent)) {
+      if (key > parent.length) throw new Error(`[Patch] Index out of bounds in "${pointer}"`);
+      parent.splice(key, 0, value);
+    } else {
+      parent[key] = value;
+    }
+  }
+
+  function removeValue(root, pointer) {
+    const { parent, key } = resolve(root, pointer, 'remove');
+    if (!has(parent, key)) throw new Error(`[Patch] Path "${pointer}" does not exist`);
+    const old = parent instanceof Map ? parent.get(key) : parent[key];
+    if (parent instanceof Map) parent.delete(key);
+    else if (Array.isArray(parent)) parent.splice(key, 1);
+    else delete parent[key];
+    return toRaw(old);
+  }
+
+  function clone(value) {
+    value = toRaw(value);
+    if (!isContainer(value)) return value;
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  // ============================================================================
+  // APPLY PATCH
+  // ============================================================================
+
+  /**
+   * Apply RFC 6902 operations to reactive state
+   * All operations run in one transaction. If one fails (or a "test" does not
+   * match) the writes already made are rolled back and the error is thrown;
+   * effects, bindings and mutation listeners see nothing of a failed patch.
+   * @param {Object} state - Reactive state
+   * @param {Array} ops - [{ op, path, value?, from? }]
+   * @returns {Object} The state
+   */
+  function applyPatch(state, ops) {
+    if (!isContainer(state)) {
+      throw new Error('[Patch] First argument must be an object');
+    }
+    if (!Array.isArray(ops)) {
+      throw new Error('[Patch] Operations must be an array');
+    }
+
+    transaction(() => ops.forEach(operation => applyOperation(state, operation)));
+
+    return state;
+  }
+
+  function applyOperation(state, operation) {
+    const { op, path, value, from } = operation || {};
+
+    switch (op) {
+      case 'add':
+        addValue(state, path, clone(value));
+        break;
+
+      case 'remove':
+        removeValue(state, path);
+        break;
+
+      case 'replace': {
+        const { parent, key } = resolve(state, path, 'replace');
+        if (!has(parent, key)) throw new Error(`[Patch] Path "${path}" does not exist`);
+        if (parent instanceof Map) parent.set(key, clone(value));
+        else parent[key] = clone(value);
+        break;
+      }
+
+      case 'move': {
+        checkFrom(operation);
+        if (path === from) break;
+        if (path.startsWith(from + '/')) {
+          throw new Error(`[Patch] Cannot move "${from}" into itself`);
+        }
+        addValue(state, path, removeValue(state, from));
+        break;
+      }
+
+      case 'copy':
+        checkFrom(operation);
+        addValue(state, path, clone(getValue(state, from)));
+        break;
+
+      case 'test': {
+        const actual = getValue(state, path);
+        if (!deepEqual(toRaw(actual), value)) {
+          throw new Error(`[Patch] Test failed at "${path}"`);
+        }
+        break;
+      }
+
+      default:
+        throw new Error(`[Patch] Unknown operation "${op}"`);
+    }
+  }
+
+  function checkFrom(operation) {
+    if (typeof operation.from !== 'string') {
+      throw new Error(`[Patch] "${operation.op}" at "${operation.path}" needs a "from" pointer`);
+    }
+  }
+
+  function deepEqual(a, b) {
+    a = toRaw(a);
+    b = toRaw(b);
+    if (Object.is(a, b)) return true;
+    if (!isContainer(a) || !isContainer(b)) return false;
+    if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+
+    if (a instanceof Date) return Object.is(a.getTime(), b.getTime());
+    if (a instanceof RegExp) return String(a) === String(b);
+    if (a instanceof Map) {
+      if (a.size !== b.size) return false;
+      for (const [key, value] of a) {
+        if (!b.has(key) || !deepEqual(value, b.get(key))) return false;
+      }
+      return true;
+    }
+    if (a instanceof Set) {
+      if (a.size !== b.size) return false;
+      const rest = Array.from(b).filter(value => !a.has(value));
+      return Array.from(a).every(value =>
+        b.has(value) || rest.some(other => deepEqual(value, other))
+      );
+    }
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) return false;
+    return keysA.every(k => Object.prototype.hasOwnProperty.call(b, k) && deepEqual(a[k], b[k]));
+  }
+
+  // ============================================================================
+  // DIFF
+  // ============================================================================
+
+  /**
+   * Produce the RFC 6902 operations that turn `a` into `b`
+   * Plain objects and arrays are compared member by member; anything else is
+   * replaced when it differs. Reactive values are read raw (untracked).
+   * @returns {Array} Operations
+   */
+  function diff(a, b) {
+    const ops = [];
+    diffValues(toRaw(a), toRaw(b), [], ops);
+    return ops;
+  }
+
+  function diffValues(a, b, path, ops) {
+    if (Object.is(a, b)) return;
+
+    if (Array.isArray(a) && Array.isArray(b)) {
+      diffArrays(a, b, path, ops);
+    } else if (isPlainObject(a) && isPlainObject(b)) {
+      diffObjects(a, b, path, ops);
+    } else if (!deepEqual(a, b)) {
+      ops.push({ op: 'replace', path: toPointer(path), value: clone(b) });
+    }
+  }
+
+  function diffObjects(a, b, path, ops) {
+    Object.keys(a).forEach(key => {
+      if (!Object.prototype.hasOwnProperty.call(b, key)) {
+        ops.push({ op: 'remove', path: toPointer(path.concat(key)) });
+      }
+    });
+    Object.keys(b).forEach(key => {
+      if (!Object.prototype.hasOwnProperty.call(a, key)) {
+        ops.push({ op: 'add', path: toPointer(path.concat(key)), value: clone(b[key]) });
+      } else {
+        diffValues(toRaw(a[key]), toRaw(b[key]), path.concat(key), ops);
+      }
+    });
+  }
+
+  function diffArrays(a, b, path, ops) {
+    const common = Math.min(a.length, b.length);
+    for (let i = 0; i < common; i++) {
+      diffValues(toRaw(a[i]), toRaw(b[i]), path.concat(i), ops);
+    }
+    // Remove from the end so earlier indexes stay valid
+    for (let i = a.length - 1; i >= common; i--) {
+      ops.push({ op: 'remove', path: toPointer(path.concat(i)) });
+    }
+    for (let i = common; i < b.length; i++) {
+      ops.push({ op: 'add', path: toPointer(path.concat('-')), value: clone(b[i]) });
+    }
+  }
+
+  // ============================================================================
+  // EXPORT
+  // ============================================================================
+
+  global.ReactiveUtils.applyPatch = applyPatch;
+  global.ReactiveUtils.diff = diff;
+
+  if (typeof global.state !== 'undefined') {
+    global.applyPatch = applyPatch;
+    global.diff = diff;
+  }
+
+})(typeof window !== 'undefined' ? window : global);